@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Runtime of an additional Spotify account (multi-account support).
+ * Each account has its own SpotifyClient, token manager and poll scheduler, and its own subtree:
+ *   <account>.info.*, <account>.playback.*, <account>.control.*, <account>.devices.*
+ * The main account keeps using the root tree (playback.*, control.*, …).
+ */
+
+const { SpotifyClient } = require('./spotifyClient');
+const { TokenManager } = require('./tokenManager');
+const { ProgressTracker } = require('./progressTracker');
+const { PollScheduler, computePollDelay } = require('./pollScheduler');
+const { VolumeFader } = require('./volumeFader');
+const { sanitizeId, pickImages } = require('./utils');
+
+// Top-level channels of the main account; account names must not collide with them
+const RESERVED_NAMES = new Set(['info', 'playback', 'control', 'devices', 'playlists', 'library', 'search', 'queue', 'presets', 'stats', 'events', 'player', 'autoplaylists']);
+
+// control.* states of an account (a subset of the main account's)
+const CONTROL_COMMANDS = new Set(['play', 'pause', 'toggle', 'next', 'previous', 'volume', 'shuffle', 'repeat', 'seek', 'playUri', 'addToQueue', 'transferToDevice', 'refreshDevices']);
+
+/**
+ * @param {string} name account name from the config table
+ * @returns {string} object id segment, '' if the name cannot be used
+ */
+function accountKey(name) {
+    const key = sanitizeId(name);
+    if (!String(name || '').trim() || RESERVED_NAMES.has(key.toLowerCase())) return '';
+    return key;
+}
+
+class Account {
+    /**
+     * @param {{adapter: any, key: string, name: string, refreshToken: string}} opts
+     *  refreshToken: the (decrypted) token stored by the OAuth login of this account
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.key = opts.key;
+        this.name = opts.name;
+        this.configuredToken = opts.refreshToken;
+        this.prefix = `${this.key}.`;
+
+        this.spotify = null;
+        this.tokenManager = null;
+        this.pollScheduler = null;
+        this.progress = new ProgressTracker();
+        this.playbackAvailable = false;
+        this.fadeDeviceId = undefined;
+        this.fader = new VolumeFader({
+            adapter: this.adapter,
+            // Same queueing as the fade steps of the main account
+            setVolume: (volume) => this.adapter.commands.push(() => this.spotify?.setVolume(volume, { deviceId: this.fadeDeviceId }), {
+                priority: 'poll', key: `${this.prefix}fade`, label: `${this.prefix}fade`,
+            }),
+        });
+    }
+
+    async ensureObjects() {
+        const a = this.adapter;
+        const p = this.prefix;
+
+        await a.setObjectNotExistsAsync(this.key, { type: 'folder', common: { name: `Account ${this.name}` }, native: {} });
+        for (const channel of ['info', 'playback', 'control', 'devices']) {
+            await a.setObjectNotExistsAsync(`${p}${channel}`, { type: 'channel', common: { name: channel }, native: {} });
+        }
+
+        const states = [
+            ['info.connection', { name: 'Connected to Spotify', type: 'boolean', role: 'indicator.connected', read: true, write: false, def: false }],
+            ['info.tokenExpiresAt', { name: 'Access token expires at', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+            ['info.lastTokenRefresh', { name: 'Last access token refresh', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+            ['info.authError', { name: 'Authentication error (empty if OK)', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['info.lastCommandError', { name: 'Last failed command (JSON: command, ts, error)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+            ['info.lastCommandResult', { name: 'Result of the last command attempt (JSON)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+            ['info.apiStatus', { name: 'Spotify API status', type: 'string', role: 'text', read: true, write: false, def: 'ok', states: { ok: 'ok', degraded: 'degraded', unavailable: 'unavailable', probing: 'probing' } }],
+            ['info.rotatedRefreshToken', { name: 'Rotated refresh token (encrypted, internal)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+
+            ['playback.available', { name: 'Playback available (active device)', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
+            ['playback.isPlaying', { name: 'Is playing', type: 'boolean', role: 'media.state', read: true, write: false, def: false }],
+            ['playback.track', { name: 'Track', type: 'string', role: 'media.title', read: true, write: false, def: '' }],
+            ['playback.artist', { name: 'Artist', type: 'string', role: 'media.artist', read: true, write: false, def: '' }],
+            ['playback.album', { name: 'Album', type: 'string', role: 'media.album', read: true, write: false, def: '' }],
+            ['playback.uri', { name: 'URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.contextUri', { name: 'Context URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.coverMedium', { name: 'Cover image (medium)', type: 'string', role: 'media.cover', read: true, write: false, def: '' }],
+            ['playback.progressMs', { name: 'Progress (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
+            ['playback.durationMs', { name: 'Duration (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
+            ['playback.shuffle', { name: 'Shuffle', type: 'boolean', role: 'switch', read: true, write: false, def: false }],
+            ['playback.repeat', { name: 'Repeat', type: 'string', role: 'text', read: true, write: false, def: 'off' }],
+            ['playback.volume', { name: 'Volume (%)', type: 'number', role: 'level.volume', read: true, write: false, def: 0, unit: '%' }],
+            ['playback.deviceName', { name: 'Device name', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.deviceId', { name: 'Device id', type: 'string', role: 'text', read: true, write: false, def: '' }],
+
+            ['devices.json', { name: 'Available devices (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+
+            ['control.play', { name: 'Play', type: 'boolean', role: 'button.play', read: true, write: true, def: false }],
+            ['control.pause', { name: 'Pause', type: 'boolean', role: 'button.pause', read: true, write: true, def: false }],
+            ['control.toggle', { name: 'Toggle play/pause', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.next', { name: 'Next', type: 'boolean', role: 'button.next', read: true, write: true, def: false }],
+            ['control.previous', { name: 'Previous', type: 'boolean', role: 'button.prev', read: true, write: true, def: false }],
+            ['control.volume', { name: 'Set volume (%)', type: 'number', role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, unit: '%' }],
+            ['control.shuffle', { name: 'Set shuffle', type: 'boolean', role: 'switch', read: true, write: true, def: false }],
+            ['control.repeat', { name: 'Set repeat (off|context|track)', type: 'string', role: 'text', read: true, write: true, def: 'off' }],
+            ['control.seek', { name: 'Seek to position (ms)', type: 'number', role: 'value.time', read: true, write: true, def: 0, unit: 'ms' }],
+            ['control.playUri', { name: 'Play URI or share link', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.addToQueue', { name: 'Add to queue (URI)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.transferToDevice', { name: 'Transfer playback to device (id or name)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.refreshDevices', { name: 'Refresh devices list', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+        ];
+
+        for (const [id, common] of states) {
+            await a.setObjectNotExistsAsync(`${p}${id}`, { type: 'state', common, native: {} });
+        }
+    }
+
+    /**
+     * Authenticate and start polling. Failures are reported in <account>.info.*, not thrown.
+     * @param {{playingSec: number, pausedSec: number, idleSec: number}} intervals
+     */
+    async start(intervals) {
+        const a = this.adapter;
+        await this.ensureObjects();
+        await a.setStateAsync(`${this.prefix}info.connection`, false, true);
+
+        if (!this.configuredToken) {
+            a.log.info(`Account "${this.name}" not authenticated yet. Use its connect button in the instance settings.`);
+            return;
+        }
+
+        this.spotify = new SpotifyClient({
+            clientId: String(a.config.clientId),
+            clientSecret: String(a.config.clientSecret || ''),
+            refreshToken: await a.loadRefreshToken(this.configuredToken, this.prefix),
+            log: a.log,
+            ...a.getClientOptions(),
+        });
+        this.spotify.on('apiStatus', (status) => {
+            a.reportApiStatus(status, this.prefix).catch((e) => a.log.debug(`Cannot report API status: ${e?.message || e}`));
+        });
+        this.tokenManager = new TokenManager({
+            adapter: a,
+            client: this.spotify,
+            prefix: this.prefix,
+            persist: (token) => a.storeRotatedRefreshToken(token, this.configuredToken, this.prefix),
+        });
+
+        try {
+            await this.tokenManager.start();
+            a.log.info(`Spotify account "${this.name}" authenticated ✅`);
+        } catch (e) {
+            a.log.error(`Failed to authenticate Spotify account "${this.name}": ${e?.message || e}`);
+            this.stop();
+            return;
+        }
+
+        this.spotify.on('request', () => this.pollScheduler?.recordCall());
+
+        a.queueCommand(() => this.refreshDevices(), { priority: 'background', key: `${this.prefix}refreshDevices` });
+
+        this.pollScheduler = new PollScheduler({
+            adapter: a,
+            poll: () => a.queueCommand(() => this.pollPlayback(), { priority: 'poll', key: `${this.prefix}poll` }),
+            getDelay: () => computePollDelay({
+                available: this.playbackAvailable,
+                isPlaying: this.progress.isPlaying,
+                remainingMs: this.progress.durationMs ? this.progress.durationMs - this.progress.currentMs() : 0,
+                circuitOpenUntil: this.spotify?.breaker.openUntil,
+            }, intervals),
+        });
+        this.pollScheduler.start();
+    }
+
+    stop() {
+        this.fader.cancel();
+        if (this.pollScheduler) this.pollScheduler.stop();
+        if (this.tokenManager) this.tokenManager.stop();
+        this.pollScheduler = null;
+        this.tokenManager = null;
+        this.spotify = null;
+    }
+
+    async pollPlayback() {
+        if (!this.spotify) return;
+        const a = this.adapter;
+        const p = `${this.prefix}playback.`;
+
+        const playback = await this.spotify.getPlaybackState();
+        if (!playback) {
+            this.playbackAvailable = false;
+            this.progress.sync({ isPlaying: false });
+            await a.setStateAsync(`${p}available`, false, true);
+            await a.setStateAsync(`${p}isPlaying`, false, true);
+            return;
+        }
+
+        const item = playback.item || null;
+        const isEpisode = item?.type === 'episode';
+        const device = playback.device || null;
+
+        this.playbackAvailable = !!device?.is_active;
+        this.progress.sync({ progressMs: playback.progress_ms, durationMs: item?.duration_ms, isPlaying: !!playback.is_playing });
+
+        const values = {
+            available: true,
+            isPlaying: !!playback.is_playing,
+            track: item?.name || '',
+            artist: isEpisode
+                ? String(item.show?.publisher || item.show?.name || '')
+                : (Array.isArray(item?.artists) ? item.artists.map((x) => x?.name).filter(Boolean).join(', ') : ''),
+            album: isEpisode ? String(item.show?.name || '') : (item?.album?.name || ''),
+            uri: item?.uri || '',
+            contextUri: playback.context?.uri || '',
+            coverMedium: pickImages(isEpisode ? item.images : item?.album?.images).medium,
+            progressMs: Number(playback.progress_ms) || 0,
+            durationMs: Number(item?.duration_ms) || 0,
+            shuffle: !!playback.shuffle_state,
+            repeat: String(playback.repeat_state || 'off'),
+            volume: Number(device?.volume_percent) || 0,
+            deviceName: String(device?.name || ''),
+            deviceId: String(device?.id || ''),
+        };
+
+        for (const [id, val] of Object.entries(values)) {
+            await a.setStateAsync(`${p}${id}`, val, true);
+        }
+    }
+
+    async refreshDevices() {
+        if (!this.spotify) return;
+        const devices = await this.spotify.getDevices();
+        await this.adapter.setStateAsync(`${this.prefix}devices.json`, JSON.stringify(devices, null, 2), true);
+        return devices;
+    }
+
+    /**
+     * Account-specific part of the shared control handlers (see ControlContext in main.js).
+     */
+    controlContext() {
+        return {
+            spotify: this.spotify,
+            prefix: this.prefix,
+            progress: this.progress,
+            fader: this.fader,
+            // defaultDeviceId and devicePriority belong to the main account: this one uses its active
+            // device and has no wakeup fallback
+            defaultDeviceId: '',
+            devicePriority: '',
+            setFadeDevice: (deviceId) => {
+                this.fadeDeviceId = deviceId;
+            },
+            publishProgress: () => this.publishProgress(),
+            refreshDevices: () => this.refreshDevices(),
+        };
+    }
+
+    async publishProgress() {
+        await this.adapter.setStateChangedAsync(`${this.prefix}playback.progressMs`, this.progress.snapshot().progressMs, true);
+    }
+
+    /**
+     * Handle a write to <account>.control.*: same handlers (device wakeup, JSON payloads, queue
+     * expansion, fades) as the main account.
+     * @param {string} command state id below <account>.control.
+     * @param {any} val
+     */
+    onControl(command, val) {
+        if (!this.spotify) return;
+        const a = this.adapter;
+        const id = `${this.prefix}control.${command}`;
+        if (!CONTROL_COMMANDS.has(command)) {
+            a.log.debug(`Unhandled control state: ${id}`);
+            return;
+        }
+
+        const ctx = this.controlContext();
+        a.runControl(id, val, () => a.executeControl(id, `control.${command}`, val, ctx), { prefix: this.prefix })
+            .catch((e) => a.logCommandError(e));
+
+        this.pollScheduler?.pollSoon();
+    }
+}
+
+module.exports = { Account, accountKey, RESERVED_NAMES };
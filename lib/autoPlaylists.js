@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Rule-driven ("rolling") playlists.
+ * A rule selects tracks from the local listening history or from Liked Songs; the adapter
+ * syncs the selection into a Spotify playlist with diffPlaylist() (only add/remove calls).
+ *
+ * Rule (row of native.autoPlaylists):
+ *   name         playlist name (also the object key)
+ *   source       'history' | 'liked'
+ *   period       'days' (last <days> days) | 'week' (since Monday) | 'month' (since the 1st)
+ *   days         for period 'days'
+ *   device       history only: device name (case-insensitive), empty = all
+ *   timeFrom/To  history only: "HH:MM" window of the play start, may wrap midnight
+ *   sort         'recent' (newest first) | 'top' (most played, history only)
+ *   limit        max. number of tracks
+ */
+
+const { isItemUri } = require('./spotifyClient');
+
+const MAX_LIMIT = 500;
+
+/**
+ * Start of the rule's time window.
+ * @param {object} rule
+ * @param {number} now
+ */
+function periodStart(rule, now) {
+    const d = new Date(now);
+    d.setHours(0, 0, 0, 0);
+    if (rule.period === 'month') {
+        d.setDate(1);
+        return d.getTime();
+    }
+    if (rule.period === 'week') {
+        // Monday as first day of the week
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return d.getTime();
+    }
+    const days = Math.max(1, Number(rule.days) || 30);
+    return now - days * 86_400_000;
+}
+
+/** "HH:MM" -> minutes since midnight, NaN if empty/invalid. */
+function parseTime(str) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(str || '').trim());
+    return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+function inTimeWindow(ts, from, to) {
+    if (Number.isNaN(from) && Number.isNaN(to)) return true;
+    const d = new Date(ts);
+    const minutes = d.getHours() * 60 + d.getMinutes();
+    const start = Number.isNaN(from) ? 0 : from;
+    const end = Number.isNaN(to) ? 24 * 60 : to;
+    // 22:00-02:00 wraps around midnight
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function ruleLimit(rule) {
+    return Math.max(1, Math.min(MAX_LIMIT, Number(rule.limit) || 50));
+}
+
+/**
+ * Select URIs from history entries (see lib/history).
+ * @param {object[]} entries oldest first
+ * @param {object} rule
+ * @returns {string[]}
+ */
+function selectFromHistory(entries, rule) {
+    const device = String(rule.device || '').trim().toLowerCase();
+    const from = parseTime(rule.timeFrom);
+    const to = parseTime(rule.timeTo);
+
+    const plays = entries.filter((e) => isItemUri(String(e.uri || ''))
+        && !e.skipped
+        && (!device || String(e.device || '').toLowerCase() === device)
+        && inTimeWindow(e.ts, from, to));
+
+    let uris;
+    if (rule.sort === 'top') {
+        const stats = new Map(); // uri -> { count, listenedMs, last }
+        for (const e of plays) {
+            const s = stats.get(e.uri) || { count: 0, listenedMs: 0, last: 0 };
+            s.count++;
+            s.listenedMs += Number(e.listenedMs) || 0;
+            s.last = Math.max(s.last, e.ts);
+            stats.set(e.uri, s);
+        }
+        uris = [...stats.entries()]
+            .sort((a, b) => b[1].count - a[1].count || b[1].listenedMs - a[1].listenedMs || b[1].last - a[1].last)
+            .map(([uri]) => uri);
+    } else {
+        uris = [...new Set(plays.map((e) => e.uri).reverse())];
+    }
+    return uris.slice(0, ruleLimit(rule));
+}
+
+/**
+ * Select URIs from Liked Songs.
+ * @param {{added_at: string, track: any}[]} saved newest first
+ * @param {object} rule
+ * @param {number} now
+ * @returns {string[]}
+ */
+function selectFromLiked(saved, rule, now) {
+    const start = periodStart(rule, now);
+    const uris = saved
+        .filter((s) => s?.track?.uri && !s.track.is_local && Date.parse(s.added_at) >= start)
+        .map((s) => s.track.uri);
+    return [...new Set(uris)].slice(0, ruleLimit(rule));
+}
+
+/**
+ * Calls needed to turn the current playlist into the desired one (order is not enforced).
+ * @param {string[]} current URIs in the playlist
+ * @param {string[]} desired
+ * @returns {{add: string[], remove: string[]}}
+ */
+function diffPlaylist(current, desired) {
+    const have = new Set(current);
+    const want = new Set(desired);
+    return {
+        add: [...want].filter((uri) => !have.has(uri)),
+        remove: [...have].filter((uri) => !want.has(uri)),
+    };
+}
+
+module.exports = { periodStart, parseTime, selectFromHistory, selectFromLiked, diffPlaylist, MAX_LIMIT };
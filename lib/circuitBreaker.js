@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Circuit breaker for the Web API.
+ *  - closed: requests pass; consecutive transient failures (network, timeout, 5xx, 429) are counted
+ *  - open: after <threshold> failures requests fail fast until retryAt
+ *  - halfOpen: after retryAt one probe request passes; success closes the circuit,
+ *    failure opens it again with a doubled wait (up to maxOpenMs)
+ */
+
+const { EventEmitter } = require('node:events');
+
+class CircuitOpenError extends Error {
+    constructor(retryAt) {
+        super(`Spotify API unavailable (circuit open, next probe in ${Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))}s)`);
+        this.code = 'ECIRCUITOPEN';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Events:
+ *  - 'stateChange' ({ state, failures, retryAt, lastError })
+ */
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {{threshold?: number, openMs?: number, maxOpenMs?: number}} [opts]
+     */
+    constructor(opts = {}) {
+        super();
+        this.threshold = Math.max(1, Number(opts.threshold) || 5);
+        this.openMs = Math.max(1_000, Number(opts.openMs) || 60_000);
+        this.maxOpenMs = Math.max(this.openMs, Number(opts.maxOpenMs) || 10 * 60_000);
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.currentOpenMs = this.openMs;
+        this.retryAt = 0;
+        this.probing = false;
+        this.lastError = '';
+    }
+
+    /** Time until which requests are blocked (0 if not open). */
+    get openUntil() {
+        return this.state === 'open' ? this.retryAt : 0;
+    }
+
+    /** Throws CircuitOpenError if the request must not be sent. */
+    check() {
+        if (this.state === 'open') {
+            if (Date.now() < this.retryAt) throw new CircuitOpenError(this.retryAt);
+            this.setState('halfOpen');
+        }
+        if (this.state === 'halfOpen') {
+            // Only one probe at a time
+            if (this.probing) throw new CircuitOpenError(Date.now() + 1_000);
+            this.probing = true;
+        }
+    }
+
+    recordSuccess() {
+        this.probing = false;
+        const changed = this.state !== 'closed' || this.failures > 0;
+        this.failures = 0;
+        this.currentOpenMs = this.openMs;
+        this.lastError = '';
+        if (changed) this.setState('closed');
+    }
+
+    /** @param {Error} err */
+    recordFailure(err) {
+        this.lastError = err?.message || String(err);
+        this.failures++;
+
+        if (this.state === 'halfOpen') {
+            this.probing = false;
+            this.currentOpenMs = Math.min(this.maxOpenMs, this.currentOpenMs * 2);
+            this.open();
+        } else if (this.state === 'closed' && this.failures >= this.threshold) {
+            this.open();
+        } else {
+            this.setState(this.state);
+        }
+    }
+
+    open() {
+        this.retryAt = Date.now() + this.currentOpenMs;
+        this.setState('open');
+    }
+
+    setState(state) {
+        this.state = state;
+        this.emit('stateChange', { state, failures: this.failures, retryAt: this.openUntil, lastError: this.lastError });
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
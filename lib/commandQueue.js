@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Scheduler for everything that talks to the Web API. Jobs run one at a time:
+ *  - by priority: user commands before polls before background jobs (library, history, sync),
+ *    first in, first out within a priority
+ *  - a pending job with the same key is superseded by a newer one, e.g. ten volume writes in a
+ *    row send only the last value; the superseded caller settles with the outcome of the newer job
+ *  - every job has a timeout: its callers are rejected when it expires, but the queue only moves
+ *    on once the job has actually ended (its requests end in the HTTP layer's own timeout), so
+ *    jobs never overlap
+ */
+
+const { EventEmitter } = require('node:events');
+
+const PRIORITIES = { command: 0, poll: 1, background: 2 };
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+class CommandTimeoutError extends Error {
+    constructor(label, timeoutMs) {
+        super(`${label || 'Command'} timed out after ${Math.round(timeoutMs / 1000)}s`);
+        this.code = 'ECMDTIMEOUT';
+    }
+}
+
+class CommandCancelledError extends Error {
+    constructor(label) {
+        super(`${label || 'Command'} cancelled`);
+        this.code = 'ECMDCANCELLED';
+    }
+}
+
+/**
+ * Events:
+ *  - 'length' (number of pending + running jobs)
+ *  - 'done' ({ label, priority, waitMs, runMs, error })
+ */
+class CommandQueue extends EventEmitter {
+    /**
+     * @param {{adapter: any, timeoutMs?: number}} opts
+     */
+    constructor(opts) {
+        super();
+        this.adapter = opts.adapter;
+        this.timeoutMs = Math.max(1_000, Number(opts.timeoutMs) || DEFAULT_TIMEOUT_MS);
+        this.pending = [];
+        this.running = null;
+        this.closed = false;
+    }
+
+    get length() {
+        return this.pending.length + (this.running ? 1 : 0);
+    }
+
+    /**
+     * @param {() => Promise<any>} fn
+     * @param {{priority?: 'command'|'poll'|'background', key?: string, label?: string, timeoutMs?: number}} [opts]
+     *  key: coalescing key (empty = never superseded), timeoutMs: 0 disables the timeout
+     * @returns {Promise<any>} result of fn
+     */
+    push(fn, opts = {}) {
+        const label = opts.label || opts.key || '';
+        if (this.closed) return Promise.reject(new CommandCancelledError(label));
+
+        return new Promise((resolve, reject) => {
+            const priority = opts.priority in PRIORITIES ? opts.priority : 'command';
+            const job = {
+                fn,
+                label,
+                key: opts.key || '',
+                priority,
+                rank: PRIORITIES[priority],
+                timeoutMs: opts.timeoutMs === undefined ? this.timeoutMs : Number(opts.timeoutMs) || 0,
+                queuedAt: Date.now(),
+                callers: [{ resolve, reject }],
+            };
+
+            if (job.key) {
+                const index = this.pending.findIndex((j) => j.key === job.key);
+                if (index >= 0) {
+                    const [superseded] = this.pending.splice(index, 1);
+                    job.callers.unshift(...superseded.callers);
+                }
+            }
+
+            const before = this.pending.findIndex((j) => j.rank > job.rank);
+            this.pending.splice(before < 0 ? this.pending.length : before, 0, job);
+            this.emit('length', this.length);
+            this.next();
+        });
+    }
+
+    next() {
+        if (this.running || !this.pending.length) return;
+        const job = this.pending.shift();
+        this.running = job;
+        const startedAt = Date.now();
+
+        // Settles the callers once: on completion or on timeout, whichever comes first
+        let settled = false;
+        const settle = ({ result, error }) => {
+            if (settled) return;
+            settled = true;
+            this.emit('done', { label: job.label, priority: job.priority, waitMs: startedAt - job.queuedAt, runMs: Date.now() - startedAt, error });
+
+            for (const caller of job.callers) {
+                if (error) {
+                    caller.reject(error);
+                } else {
+                    caller.resolve(result);
+                }
+            }
+        };
+
+        let timer = null;
+        if (job.timeoutMs > 0) {
+            timer = this.adapter.setTimeout(() => {
+                timer = null;
+                settle({ error: new CommandTimeoutError(job.label, job.timeoutMs) });
+            }, job.timeoutMs);
+        }
+
+        Promise.resolve()
+            .then(() => job.fn())
+            .then((result) => ({ result }), (error) => ({ error }))
+            .then((outcome) => {
+                if (timer) this.adapter.clearTimeout(timer);
+                if (settled && outcome.error) {
+                    this.adapter.log?.debug(`${job.label || 'Command'} failed after its timeout: ${outcome.error?.message || outcome.error}`);
+                }
+                settle(outcome);
+                this.running = null;
+                this.emit('length', this.length);
+                this.next();
+            });
+    }
+
+    /** Reject all pending jobs and accept no new ones (the running job is left to finish). */
+    close() {
+        this.closed = true;
+        const pending = this.pending;
+        this.pending = [];
+        for (const job of pending) {
+            for (const caller of job.callers) caller.reject(new CommandCancelledError(job.label));
+        }
+    }
+}
+
+module.exports = { CommandQueue, CommandTimeoutError, CommandCancelledError };
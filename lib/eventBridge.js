@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Outbound integration for playback events (optional).
+ *  - Webhooks: POST the event JSON to each configured URL, signed with HMAC-SHA256
+ *    (header X-Signature-256: sha256=<hex>), retried with exponential back-off.
+ *  - MQTT: publish events to <topic>/event/<type>, the now-playing snapshot retained to
+ *    <topic>/nowplaying, and map <topic>/control/<name>/set to the control.<name> states.
+ */
+
+const crypto = require('node:crypto');
+
+const WEBHOOK_TIMEOUT_MS = 5_000;
+const WEBHOOK_RETRIES = 3;
+
+let mqtt = null;
+try {
+    mqtt = require('mqtt');
+} catch {
+    mqtt = null;
+}
+
+/**
+ * @param {string} secret
+ * @param {string} body
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function splitList(str) {
+    return String(str || '').split(/[\n,]+/).map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Convert an MQTT payload to the type of the target state.
+ * @param {string} text
+ * @param {string} type ioBroker common.type
+ */
+function convertPayload(text, type) {
+    const str = String(text).trim();
+    if (type === 'boolean') return /^(true|1|on|yes)$/i.test(str);
+    if (type === 'number') {
+        const n = Number(str);
+        if (!Number.isFinite(n)) throw new Error(`"${str}" is not a number`);
+        return n;
+    }
+    return str;
+}
+
+class EventBridge {
+    /**
+     * @param {{adapter: any, mqttConnect?: (url: string, opts: object) => any}} opts
+     *  mqttConnect: replaces mqtt.connect (tests)
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.mqttConnect = opts.mqttConnect || (mqtt ? mqtt.connect : null);
+        const cfg = this.adapter.config;
+
+        this.webhookUrls = splitList(cfg.webhookUrls);
+        this.webhookSecret = String(cfg.webhookSecret || '');
+        this.mqttTopic = String(cfg.mqttTopic || 'spotify').replace(/\/+$/, '');
+        this.mqttClient = null;
+        this.nowPlaying = null; // last snapshot, republished (retained) after a reconnect
+        this.pending = new Set(); // timers of scheduled webhook retries
+        this.stopped = false;
+    }
+
+    async start() {
+        const cfg = this.adapter.config;
+        if (!cfg.mqttEnabled || !cfg.mqttUrl) return;
+
+        if (!this.mqttConnect) {
+            this.adapter.log.warn('MQTT bridge enabled, but package "mqtt" is not available');
+            return;
+        }
+
+        this.mqttClient = this.mqttConnect(String(cfg.mqttUrl), {
+            username: cfg.mqttUsername || undefined,
+            password: cfg.mqttPassword || undefined,
+            clientId: `iobroker-${this.adapter.namespace}-${crypto.randomBytes(3).toString('hex')}`,
+            reconnectPeriod: 10_000,
+            // Retained "offline" marker if the adapter goes away without unload
+            will: { topic: `${this.mqttTopic}/online`, payload: 'false', retain: true, qos: 1 },
+        });
+
+        this.mqttClient.on('connect', () => {
+            this.adapter.log.info(`MQTT bridge connected to ${cfg.mqttUrl}`);
+            this.mqttClient.publish(`${this.mqttTopic}/online`, 'true', { retain: true, qos: 1 });
+            this.mqttClient.subscribe(`${this.mqttTopic}/control/+/set`);
+            if (this.nowPlaying) this.publishNowPlaying(this.nowPlaying);
+        });
+        this.mqttClient.on('error', (e) => this.adapter.log.warn(`MQTT bridge: ${e?.message || e}`));
+        this.mqttClient.on('message', (topic, payload) => {
+            this.onMqttCommand(topic, payload.toString('utf8')).catch((e) => {
+                this.adapter.log.warn(`MQTT command ${topic} failed: ${e?.message || e}`);
+            });
+        });
+    }
+
+    async stop() {
+        this.stopped = true;
+        for (const timer of this.pending) this.adapter.clearTimeout(timer);
+        this.pending.clear();
+
+        if (this.mqttClient) {
+            const client = this.mqttClient;
+            this.mqttClient = null;
+            try {
+                await client.publishAsync(`${this.mqttTopic}/online`, 'false', { retain: true, qos: 1 });
+            } catch {
+                // ignore
+            }
+            await client.endAsync().catch(() => {});
+        }
+    }
+
+    /**
+     * <topic>/control/<name>/set → control.<name> (ack=false, handled like a write from a script).
+     */
+    async onMqttCommand(topic, text) {
+        const m = new RegExp(`^${this.mqttTopic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/control/([^/]+)/set$`).exec(topic);
+        if (!m) return;
+
+        const id = `control.${m[1]}`;
+        const obj = await this.adapter.getObjectAsync(id);
+        if (obj?.type !== 'state' || !obj.common?.write) {
+            this.adapter.log.warn(`MQTT: unknown or read-only control "${m[1]}"`);
+            return;
+        }
+
+        await this.adapter.setStateAsync(id, convertPayload(text, obj.common.type), false);
+    }
+
+    /**
+     * Forward one playback event.
+     * @param {object} event see lib/playbackEvents
+     * @param {object|null} nowPlaying current playback snapshot
+     */
+    publish(event, nowPlaying) {
+        const body = JSON.stringify(event);
+
+        for (const url of this.webhookUrls) {
+            this.sendWebhook(url, body, 1);
+        }
+
+        if (this.mqttClient?.connected) {
+            this.mqttClient.publish(`${this.mqttTopic}/event/${event.type}`, body, { qos: 0 });
+        }
+        this.publishNowPlaying(nowPlaying);
+    }
+
+    /**
+     * Retained <topic>/nowplaying message.
+     * @param {object|null} nowPlaying playback snapshot, null = nothing is playing
+     */
+    publishNowPlaying(nowPlaying) {
+        this.nowPlaying = nowPlaying || { isPlaying: false };
+        if (this.mqttClient?.connected) {
+            this.mqttClient.publish(`${this.mqttTopic}/nowplaying`, JSON.stringify(this.nowPlaying), { retain: true, qos: 1 });
+        }
+    }
+
+    sendWebhook(url, body, attempt) {
+        if (this.stopped) return;
+
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': 'ioBroker.spotify-premium' };
+        if (this.webhookSecret) headers['X-Signature-256'] = signPayload(this.webhookSecret, body);
+
+        fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) })
+            .then(async (res) => {
+                // Drain the body, otherwise the keep-alive socket stays busy
+                await res.arrayBuffer().catch(() => {});
+                // 4xx (except 429) will not get better by retrying
+                if (res.ok || (res.status >= 400 && res.status < 500 && res.status !== 429)) {
+                    if (!res.ok) this.adapter.log.warn(`Webhook ${url} rejected event (${res.status})`);
+                    return;
+                }
+                throw new Error(`HTTP ${res.status}`);
+            })
+            .catch((e) => {
+                if (attempt >= WEBHOOK_RETRIES) {
+                    this.adapter.log.warn(`Webhook ${url} failed after ${attempt} attempts: ${e?.message || e}`);
+                    return;
+                }
+                const timer = this.adapter.setTimeout(() => {
+                    this.pending.delete(timer);
+                    this.sendWebhook(url, body, attempt + 1);
+                }, 1_000 * 2 ** attempt);
+                this.pending.add(timer);
+            });
+    }
+}
+
+module.exports = { EventBridge, signPayload, convertPayload };
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Local listening history.
+ *  - HistoryRecorder turns successive playback snapshots into finished "play" entries
+ *  - HistoryStore keeps the entries as JSON Lines, one file per (local) day, with retention
+ *  - computeStats aggregates entries for the stats.* states
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// A track that stopped more than this before its end counts as skipped
+const SKIP_TOLERANCE_MS = 15_000;
+
+const FILE_RE = /^history-(\d{4})-(\d{2})-(\d{2})\.jsonl$/;
+
+/**
+ * @param {number} progressMs last known position
+ * @param {number} durationMs
+ */
+function wasSkipped(progressMs, durationMs) {
+    return durationMs > 0 && durationMs - (Number(progressMs) || 0) > SKIP_TOLERANCE_MS;
+}
+
+function localDay(ts) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Local midnight of the day ts falls on. */
+function startOfDay(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+class HistoryRecorder {
+    constructor() {
+        this.current = null; // { ts, uri, title, artist, device, durationMs, progressMs, listenedMs, lastSeenAt, isPlaying }
+    }
+
+    /**
+     * Feed the latest playback snapshot.
+     * @param {{uri: string, title: string, artist: string, device: string, durationMs: number, progressMs: number, isPlaying: boolean} | null} snap
+     *  null = nothing is playing
+     * @returns {object|null} the finished entry if the item changed (or playback ended)
+     */
+    observe(snap) {
+        const now = Date.now();
+        const cur = this.current;
+
+        if (cur && cur.isPlaying) {
+            cur.listenedMs = Math.min(cur.durationMs || Infinity, cur.listenedMs + (now - cur.lastSeenAt));
+        }
+
+        if (cur && snap && snap.uri === cur.uri) {
+            cur.progressMs = snap.progressMs;
+            cur.isPlaying = snap.isPlaying;
+            cur.device = snap.device || cur.device;
+            cur.lastSeenAt = now;
+            return null;
+        }
+
+        const finished = cur ? this.toEntry(cur) : null;
+
+        this.current = snap?.uri
+            ? { ...snap, ts: now - (snap.progressMs || 0), listenedMs: 0, lastSeenAt: now }
+            : null;
+
+        // Items that were only seen paused were not listened to
+        return finished && finished.listenedMs > 0 ? finished : null;
+    }
+
+    toEntry(cur) {
+        return {
+            ts: cur.ts,
+            uri: cur.uri,
+            title: cur.title,
+            artist: cur.artist,
+            device: cur.device,
+            durationMs: cur.durationMs,
+            listenedMs: Math.round(cur.listenedMs),
+            skipped: wasSkipped(cur.progressMs, cur.durationMs),
+        };
+    }
+}
+
+class HistoryStore {
+    /**
+     * @param {{dir: string, retentionDays?: number, log?: any}} opts
+     */
+    constructor(opts) {
+        this.dir = opts.dir;
+        this.retentionDays = Math.max(1, Number(opts.retentionDays) || 365);
+        this.log = opts.log || console;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    fileFor(ts) {
+        return path.join(this.dir, `history-${localDay(ts)}.jsonl`);
+    }
+
+    async append(entry) {
+        await fs.promises.appendFile(this.fileFor(entry.ts), `${JSON.stringify(entry)}\n`, 'utf8');
+    }
+
+    /** History files as { file, dayStart } sorted by day. */
+    async listFiles() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        return names
+            .map((name) => {
+                const m = FILE_RE.exec(name);
+                return m ? { file: path.join(this.dir, name), dayStart: new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime() } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.dayStart - b.dayStart);
+    }
+
+    /**
+     * Read entries in [from, to], oldest first.
+     * @param {{from?: number, to?: number, limit?: number}} [opts] limit keeps the newest entries
+     */
+    async read({ from = 0, to = Date.now(), limit = Infinity } = {}) {
+        const out = [];
+        for (const { file, dayStart } of await this.listFiles()) {
+            if (dayStart > to || dayStart + 86_400_000 <= startOfDay(from)) continue;
+            const text = await fs.promises.readFile(file, 'utf8').catch(() => '');
+            for (const line of text.split('\n')) {
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.ts >= from && entry.ts <= to) out.push(entry);
+                } catch {
+                    // ignore broken lines (e.g. after a crash during write)
+                }
+            }
+        }
+        out.sort((a, b) => a.ts - b.ts);
+        return Number.isFinite(limit) ? out.slice(-limit) : out;
+    }
+
+    async lastEntry() {
+        const files = await this.listFiles();
+        for (let i = files.length - 1; i >= 0; i--) {
+            const entries = await this.read({ from: files[i].dayStart, to: files[i].dayStart + 86_400_000 - 1 });
+            if (entries.length) return entries[entries.length - 1];
+        }
+        return null;
+    }
+
+    /** Delete day files older than the retention period. */
+    async cleanup() {
+        const limit = startOfDay(Date.now()) - this.retentionDays * 86_400_000;
+        for (const { file, dayStart } of await this.listFiles()) {
+            if (dayStart >= limit) continue;
+            await fs.promises.unlink(file).catch((e) => this.log.warn(`Cannot delete ${file}: ${e?.message || e}`));
+        }
+    }
+}
+
+/**
+ * @param {object[]} entries
+ * @returns {{minutes: number, tracks: number, skipped: number, topArtist: string, topTrack: string}}
+ */
+function computeStats(entries) {
+    const artists = new Map();
+    const tracks = new Map();
+    let listenedMs = 0;
+    let skipped = 0;
+
+    for (const e of entries) {
+        listenedMs += Number(e.listenedMs) || 0;
+        if (e.skipped) skipped++;
+        // Only the first artist: "A, B" would otherwise be its own artist
+        const artist = String(e.artist || '').split(', ')[0];
+        if (artist) artists.set(artist, (artists.get(artist) || 0) + (Number(e.listenedMs) || 0));
+        const title = e.title ? `${e.title}${e.artist ? ` – ${e.artist}` : ''}` : '';
+        if (title) tracks.set(title, (tracks.get(title) || 0) + 1);
+    }
+
+    const top = (map) => [...map.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+
+    return {
+        minutes: Math.round(listenedMs / 60_000),
+        tracks: entries.length,
+        skipped,
+        topArtist: top(artists),
+        topTrack: top(tracks),
+    };
+}
+
+module.exports = { HistoryRecorder, HistoryStore, computeStats, wasSkipped, startOfDay };
@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * Local REST + WebSocket control API, served by the callback server.
+ *   GET  /api/state     playback.* states
+ *   GET  /api/devices   Connect devices
+ *   POST /api/play      { uri?, device? } resume, or play something
+ *   POST /api/pause
+ *   POST /api/toggle, /api/next, /api/previous
+ *   POST /api/volume    { volume }
+ *   POST /api/transfer  { device } device name or id
+ *   POST /api/playUri   same payload as control.playUri (JSON) or { uri }
+ *   WS   /api/ws        pushes { type: 'state' | 'event', data } messages
+ * Every request needs the API key: "Authorization: Bearer <key>" or "X-Api-Key: <key>".
+ * Only the WebSocket upgrade also accepts "?apiKey=<key>" (browsers cannot set headers there);
+ * REST requests do not, so the key does not end up in URLs and access logs.
+ */
+
+const crypto = require('node:crypto');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const PING_INTERVAL_MS = 30_000;
+
+// Fields that change on every poll; a state push is only sent if something else changed
+const VOLATILE_FIELDS = ['progressMs', 'progressPercent', 'progress', 'sleepTimerRemaining'];
+
+let WebSocketServer = null;
+try {
+    ({ WebSocketServer } = require('ws'));
+} catch {
+    WebSocketServer = null;
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) return resolve({});
+            try {
+                const body = JSON.parse(text);
+                resolve(body && typeof body === 'object' ? body : {});
+            } catch {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Constant-time API key check, so the key cannot be guessed byte by byte.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {URL} url
+ * @param {string} apiKey
+ * @param {boolean} [allowQuery] accept "?apiKey=" (WebSocket upgrade only)
+ */
+function hasValidApiKey(req, url, apiKey, allowQuery = false) {
+    const header = String(req.headers.authorization || '');
+    const given = (header.toLowerCase().startsWith('bearer ') ? header.slice(7) : '')
+        || String(req.headers['x-api-key'] || '')
+        || (allowQuery ? String(url.searchParams.get('apiKey') || '') : '');
+    if (!apiKey || !given) return false;
+
+    const a = crypto.createHash('sha256').update(given.trim()).digest();
+    const b = crypto.createHash('sha256').update(String(apiKey)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+class LocalApi {
+    /**
+     * @param {{
+     *   adapter: any,
+     *   apiKey: string,
+     *   getState: () => Promise<object>,
+     *   getDevices: () => Promise<object[]>,
+     *   runCommand: (stateId: string, val: any) => Promise<void>,
+     * }} opts runCommand executes a control.* command and rejects with the Spotify error
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.apiKey = String(opts.apiKey || '');
+        this.getState = opts.getState;
+        this.getDevices = opts.getDevices;
+        this.runCommand = opts.runCommand;
+
+        this.wss = WebSocketServer ? new WebSocketServer({ noServer: true, maxPayload: MAX_BODY_BYTES }) : null;
+        this.pingTimer = null;
+        this.lastStateKey = '';
+
+        this.routes = {
+            'GET /api/state': async () => this.getState(),
+            'GET /api/devices': async () => this.getDevices(),
+            'POST /api/play': async (body) => {
+                if (body.uri || body.uris || body.context_uri) {
+                    await this.runCommand('control.playUri', JSON.stringify(body));
+                } else if (body.device) {
+                    await this.runCommand('control.transferToDevice', String(body.device));
+                } else {
+                    await this.runCommand('control.play', true);
+                }
+            },
+            'POST /api/pause': async () => this.runCommand('control.pause', true),
+            'POST /api/toggle': async () => this.runCommand('control.toggle', true),
+            'POST /api/next': async () => this.runCommand('control.next', true),
+            'POST /api/previous': async () => this.runCommand('control.previous', true),
+            'POST /api/volume': async (body) => {
+                const volume = Number(body.volume);
+                if (!Number.isFinite(volume)) throw new HttpError(400, '"volume" (0-100) is required');
+                await this.runCommand('control.volume', Math.max(0, Math.min(100, Math.round(volume))));
+            },
+            'POST /api/transfer': async (body) => {
+                const device = String(body.device || body.deviceId || '').trim();
+                if (!device) throw new HttpError(400, '"device" (name or id) is required');
+                await this.runCommand('control.transferToDevice', device);
+            },
+            'POST /api/playUri': async (body) => {
+                if (!body.uri && !body.uris && !body.context_uri) throw new HttpError(400, '"uri", "uris" or "context_uri" is required');
+                await this.runCommand('control.playUri', JSON.stringify(body));
+            },
+        };
+    }
+
+    get hasClients() {
+        return !!this.wss && this.wss.clients.size > 0;
+    }
+
+    isAuthorized(req, url, allowQuery = false) {
+        return hasValidApiKey(req, url, this.apiKey, allowQuery);
+    }
+
+    /**
+     * Handle an /api/* request.
+     * @param {import('node:http').IncomingMessage} req
+     * @param {import('node:http').ServerResponse} res
+     * @param {URL} url
+     */
+    handle(req, res, url) {
+        // Key based auth (no cookies), so any origin may call the API, e.g. a dashboard on another host
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Authorization, X-Api-Key, Content-Type',
+                'Access-Control-Max-Age': '600',
+            });
+            res.end();
+            return;
+        }
+
+        if (!this.isAuthorized(req, url)) {
+            sendJson(res, 401, { ok: false, error: 'Missing or wrong API key' });
+            return;
+        }
+
+        const route = this.routes[`${req.method} ${url.pathname.replace(/\/+$/, '')}`];
+        if (!route) {
+            sendJson(res, 404, { ok: false, error: `Unknown route ${req.method} ${url.pathname}` });
+            return;
+        }
+
+        (req.method === 'POST' ? readJsonBody(req) : Promise.resolve({}))
+            .then((body) => route(body))
+            .then((data) => sendJson(res, 200, data === undefined ? { ok: true } : data))
+            .catch((e) => {
+                const status = e instanceof HttpError ? e.status : e?.status === 404 ? 404 : 502;
+                if (!(e instanceof HttpError)) this.adapter.log.debug(`API ${req.method} ${url.pathname} failed: ${e?.message || e}`);
+                sendJson(res, status, { ok: false, error: e?.message || String(e) });
+            });
+    }
+
+    /**
+     * Accept WebSocket upgrades on /api/ws of the given server.
+     * @param {import('node:http').Server} server
+     */
+    attach(server) {
+        if (!this.wss) {
+            this.adapter.log.warn('Local API: package "ws" is not available, WebSocket push disabled');
+            return;
+        }
+
+        server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url || '/', 'http://localhost');
+            if (url.pathname !== '/api/ws' || !this.isAuthorized(req, url, true)) {
+                socket.end(`HTTP/1.1 ${url.pathname !== '/api/ws' ? '404 Not Found' : '401 Unauthorized'}\r\nConnection: close\r\n\r\n`);
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.onConnection(ws));
+        });
+
+        if (!this.pingTimer) {
+            // Tablets drop off Wi-Fi without closing the socket
+            this.pingTimer = this.adapter.setInterval(() => {
+                for (const ws of this.wss.clients) {
+                    if (ws.isAlive === false) {
+                        ws.terminate();
+                        continue;
+                    }
+                    ws.isAlive = false;
+                    ws.ping();
+                }
+            }, PING_INTERVAL_MS);
+        }
+    }
+
+    onConnection(ws) {
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('error', () => ws.terminate());
+
+        this.getState()
+            .then((state) => ws.send(JSON.stringify({ type: 'state', data: state })))
+            .catch((e) => this.adapter.log.debug(`Local API: initial state failed: ${e?.message || e}`));
+    }
+
+    broadcast(message) {
+        if (!this.hasClients) return;
+        const text = JSON.stringify(message);
+        for (const ws of this.wss.clients) {
+            if (ws.readyState === ws.OPEN) ws.send(text);
+        }
+    }
+
+    /** Push the playback state if more than the position changed since the last push. */
+    pushState(state) {
+        const stable = { ...state };
+        for (const field of VOLATILE_FIELDS) delete stable[field];
+        const key = JSON.stringify(stable);
+        if (key === this.lastStateKey) return;
+        this.lastStateKey = key;
+        this.broadcast({ type: 'state', data: state });
+    }
+
+    pushEvent(event) {
+        this.broadcast({ type: 'event', data: event });
+    }
+
+    close() {
+        if (this.pingTimer) {
+            this.adapter.clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+        if (this.wss) {
+            for (const ws of this.wss.clients) ws.terminate();
+            this.wss.close();
+        }
+    }
+}
+
+module.exports = { LocalApi, HttpError, hasValidApiKey, sendJson, readJsonBody };
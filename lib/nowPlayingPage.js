@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Now-playing widget (/nowplaying) for VIS/Jarvis iframes and wall tablets.
+ * Fed by the local API: GET /api/state, WebSocket /api/ws (polling if WebSockets are
+ * unavailable) and POST /api/previous|toggle|next for the transport buttons.
+ * URL parameters: key=<API key>, theme=dark|light|auto, layout=normal|compact|fullscreen.
+ * Plain ES5 and XMLHttpRequest on purpose, so older tablet browsers can run it.
+ */
+
+const THEMES = ['dark', 'light', 'auto'];
+const LAYOUTS = ['normal', 'compact', 'fullscreen'];
+
+/**
+ * @param {{theme?: string, layout?: string}} opts unknown values fall back to dark / normal
+ */
+function renderNowPlaying(opts = {}) {
+    const theme = THEMES.includes(opts.theme) ? opts.theme : 'dark';
+    const layout = LAYOUTS.includes(opts.layout) ? opts.layout : 'normal';
+
+    return `<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>Spotify – Now Playing</title>
+<style>
+:root{--bg:#121212;--fg:#fff;--muted:#b3b3b3;--track:#4d4d4d;--accent:#1db954}
+.light{--bg:#fff;--fg:#121212;--muted:#6a6a6a;--track:#ddd}
+@media (prefers-color-scheme: light){.auto{--bg:#fff;--fg:#121212;--muted:#6a6a6a;--track:#ddd}}
+html,body{height:100%;margin:0}
+body{background:var(--bg);color:var(--fg);font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;overflow:hidden}
+#np{display:flex;flex-direction:column;align-items:center;justify-content:center;height:100%;padding:16px;box-sizing:border-box;text-align:center;position:relative}
+#cover{width:60vmin;height:60vmin;object-fit:cover;border-radius:8px;background:var(--track)}
+#info{width:100%;max-width:640px;margin-top:12px;min-width:0}
+#title{font-size:1.4em;font-weight:600}
+#artist,#device{color:var(--muted)}
+#title,#artist,#device{white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+#device{font-size:.8em;margin-top:2px}
+.bar{display:flex;align-items:center;font-size:.75em;color:var(--muted);margin-top:10px}
+.track{flex:1;margin:0 8px;height:4px;border-radius:2px;background:var(--track);overflow:hidden}
+#fill{height:100%;width:0;background:var(--accent)}
+.buttons{margin-top:8px}
+button{background:none;border:0;color:var(--fg);font-size:1.8em;width:1.9em;height:1.6em;cursor:pointer;border-radius:50%}
+button:active{opacity:.6}
+#toggle{font-size:2.2em}
+#bg{display:none}
+.compact #np{flex-direction:row;justify-content:flex-start;text-align:left;padding:8px}
+.compact #cover{width:calc(100vh - 16px);height:calc(100vh - 16px);max-width:25vw;max-height:25vw;margin-right:12px}
+.compact #info{margin-top:0;flex:1}
+.compact #title{font-size:1.1em}
+.compact .buttons{margin-top:2px}
+.compact button{font-size:1.4em}
+.compact #toggle{font-size:1.6em}
+.fullscreen #bg{display:block;position:absolute;top:-40px;right:-40px;bottom:-40px;left:-40px;background-size:cover;background-position:center;filter:blur(40px) brightness(.45);z-index:-1}
+.fullscreen #np{z-index:0;color:#fff;--fg:#fff;--muted:#ddd}
+.fullscreen #cover{width:65vmin;height:65vmin;box-shadow:0 8px 40px rgba(0,0,0,.6)}
+.fullscreen #title{font-size:2.2em}
+.fullscreen #artist{font-size:1.4em}
+.idle #cover,.idle .bar,.idle .buttons{opacity:.35}
+</style>
+</head>
+<body class="${theme} ${layout}">
+<div id="bg"></div>
+<div id="np" class="idle">
+  <img id="cover" alt=""/>
+  <div id="info">
+    <div id="title">–</div>
+    <div id="artist"></div>
+    <div id="device"></div>
+    <div class="bar"><span id="pos">0:00</span><div class="track"><div id="fill"></div></div><span id="dur">0:00</span></div>
+    <div class="buttons">
+      <button id="previous" title="Zurück">&#9198;</button>
+      <button id="toggle" title="Play/Pause">&#9654;</button>
+      <button id="next" title="Weiter">&#9197;</button>
+    </div>
+  </div>
+</div>
+<script>
+(function () {
+  var match = /[?&]key=([^&]*)/.exec(location.search);
+  var key = match ? decodeURIComponent(match[1]) : '';
+  var state = {};
+  var receivedAt = 0;
+  var ws = null;
+  var pollTimer = null;
+
+  function $(id) { return document.getElementById(id); }
+
+  function fmt(ms) {
+    var s = Math.max(0, Math.floor((ms || 0) / 1000));
+    var m = Math.floor(s / 60);
+    s = s % 60;
+    return m + ':' + (s < 10 ? '0' : '') + s;
+  }
+
+  function request(method, path, cb) {
+    var xhr = new XMLHttpRequest();
+    xhr.open(method, path);
+    xhr.setRequestHeader('X-Api-Key', key);
+    xhr.onload = function () {
+      var data = null;
+      try { data = JSON.parse(xhr.responseText); } catch (e) { data = null; }
+      if (cb) cb(xhr.status, data);
+    };
+    xhr.onerror = function () { if (cb) cb(0, null); };
+    xhr.send();
+  }
+
+  function render() {
+    var playing = !!state.isPlaying;
+    $('np').className = state.track ? '' : 'idle';
+    $('title').textContent = state.track || (key ? 'Keine Wiedergabe' : 'API-Key fehlt (?key=…)');
+    $('artist').textContent = state.artist || state.showName || '';
+    $('device').textContent = state.deviceName ? '\\u25B6 ' + state.deviceName : '';
+    var cover = state.coverLarge || state.coverMedium || state.coverSmall || '';
+    if ($('cover').getAttribute('src') !== cover) {
+      if (cover) $('cover').setAttribute('src', cover); else $('cover').removeAttribute('src');
+      $('bg').style.backgroundImage = cover ? 'url("' + cover + '")' : '';
+    }
+    $('toggle').innerHTML = playing ? '&#9208;' : '&#9654;';
+    tick();
+  }
+
+  function tick() {
+    var duration = state.durationMs || 0;
+    var pos = (state.progressMs || 0) + (state.isPlaying ? Date.now() - receivedAt : 0);
+    if (duration) pos = Math.min(pos, duration);
+    $('pos').textContent = fmt(pos);
+    $('dur').textContent = fmt(duration);
+    $('fill').style.width = duration ? (100 * pos / duration) + '%' : '0';
+  }
+
+  function apply(data) {
+    if (!data || typeof data !== 'object') return;
+    state = data;
+    receivedAt = Date.now();
+    render();
+  }
+
+  function refresh() {
+    request('GET', '/api/state', function (status, data) { if (status === 200) apply(data); });
+  }
+
+  function startPolling(ms) {
+    if (pollTimer) clearInterval(pollTimer);
+    pollTimer = setInterval(refresh, ms);
+  }
+
+  function connect() {
+    if (!window.WebSocket) return startPolling(3000);
+    ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/api/ws?apiKey=' + encodeURIComponent(key));
+    ws.onmessage = function (msg) {
+      var data = null;
+      try { data = JSON.parse(msg.data); } catch (e) { return; }
+      if (data.type === 'state') apply(data.data);
+    };
+    ws.onopen = function () { startPolling(30000); };
+    ws.onclose = function () {
+      // Poll while disconnected, then try again
+      startPolling(3000);
+      setTimeout(connect, 10000);
+    };
+  }
+
+  function command(name, optimistic) {
+    return function () {
+      if (optimistic) optimistic();
+      request('POST', '/api/' + name, function () { setTimeout(refresh, 700); });
+    };
+  }
+
+  $('previous').onclick = command('previous');
+  $('next').onclick = command('next');
+  $('toggle').onclick = command('toggle', function () {
+    state.progressMs = (state.progressMs || 0) + (state.isPlaying ? Date.now() - receivedAt : 0);
+    receivedAt = Date.now();
+    state.isPlaying = !state.isPlaying;
+    render();
+  });
+
+  render();
+  if (key) {
+    refresh();
+    connect();
+  }
+  setInterval(tick, 500);
+})();
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { renderNowPlaying };
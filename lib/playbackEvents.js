@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Derive playback events from two successive playback snapshots.
+ */
+
+const { wasSkipped } = require('./history');
+
+/**
+ * @typedef {object} PlaybackSnapshot
+ * @property {number} at poll time (ms)
+ * @property {boolean} isPlaying
+ * @property {string} uri
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} contextUri
+ * @property {string} deviceId
+ * @property {string} deviceName
+ * @property {number} progressMs
+ * @property {number} durationMs
+ */
+
+function trackInfo(s) {
+    return s ? { uri: s.uri, title: s.title, artist: s.artist } : null;
+}
+
+/**
+ * Position of the previous item when it was replaced, extrapolated from its last poll.
+ * @param {PlaybackSnapshot} prev
+ * @param {number} now
+ */
+function lastPosition(prev, now) {
+    const ms = prev.progressMs + (prev.isPlaying ? now - prev.at : 0);
+    return prev.durationMs ? Math.min(ms, prev.durationMs) : ms;
+}
+
+/**
+ * @param {PlaybackSnapshot|null} prev previous snapshot (null = nothing was playing)
+ * @param {PlaybackSnapshot|null} next current snapshot (null = nothing is playing)
+ * @returns {{type: string, ts: number, old: any, new: any, skipped?: boolean}[]}
+ */
+function diffPlayback(prev, next) {
+    const ts = next?.at || Date.now();
+    const events = [];
+    const wasPlaying = !!prev?.isPlaying;
+    const isPlaying = !!next?.isPlaying;
+
+    if (next?.uri && next.uri !== prev?.uri) {
+        const skipped = prev?.uri ? wasSkipped(lastPosition(prev, ts), prev.durationMs) : false;
+        events.push({ type: 'trackChanged', ts, old: trackInfo(prev?.uri ? prev : null), new: trackInfo(next), skipped });
+    }
+
+    if (!wasPlaying && isPlaying) {
+        events.push({ type: 'playbackStarted', ts, old: null, new: { ...trackInfo(next), device: next.deviceName } });
+    } else if (wasPlaying && !isPlaying) {
+        events.push({ type: 'playbackStopped', ts, old: { ...trackInfo(prev), device: prev.deviceName }, new: null });
+    }
+
+    if ((next?.deviceId || '') !== (prev?.deviceId || '') && next?.deviceId) {
+        events.push({
+            type: 'deviceChanged',
+            ts,
+            old: prev?.deviceId ? { id: prev.deviceId, name: prev.deviceName } : null,
+            new: { id: next.deviceId, name: next.deviceName },
+        });
+    }
+
+    if ((next?.contextUri || '') !== (prev?.contextUri || '') && next?.contextUri) {
+        events.push({ type: 'contextChanged', ts, old: prev?.contextUri || null, new: next.contextUri });
+    }
+
+    return events;
+}
+
+const EVENT_TYPES = ['trackChanged', 'playbackStarted', 'playbackStopped', 'deviceChanged', 'contextChanged'];
+
+module.exports = { diffPlayback, EVENT_TYPES };
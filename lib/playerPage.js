@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Browser player (Spotify Web Playback SDK) served by the callback server.
+ *   GET  /player?key=<apiKey>[&name=<device name>]  player page, registers as a Connect device
+ *   GET  /player/token                              short-lived access token for the SDK
+ *   POST /player/device                             { deviceId, name, connected } reported by the page
+ * The refresh token never leaves the adapter; the page only gets access tokens (1 h lifetime).
+ * Token and device routes need the API key like the local API.
+ */
+
+const { HttpError, hasValidApiKey, sendJson, readJsonBody } = require('./localApi');
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+class PlayerPage {
+    /**
+     * @param {{
+     *   adapter: any,
+     *   apiKey: string,
+     *   playerName: string,
+     *   getAccessToken: () => Promise<{accessToken: string, expiresAt: number}>,
+     *   onDevice: (info: {deviceId: string, name: string, connected: boolean}) => Promise<void>,
+     * }} opts
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.apiKey = String(opts.apiKey || '');
+        this.playerName = String(opts.playerName || 'ioBroker');
+        this.getAccessToken = opts.getAccessToken;
+        this.onDevice = opts.onDevice;
+    }
+
+    /**
+     * Handle /player and /player/*.
+     * @param {import('node:http').IncomingMessage} req
+     * @param {import('node:http').ServerResponse} res
+     * @param {URL} url
+     */
+    handle(req, res, url) {
+        const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+
+        if (route === 'GET /player') {
+            // The page itself holds no secret; the key is checked on every token request
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(this.renderPage(url.searchParams.get('name') || this.playerName));
+            return;
+        }
+
+        if (!hasValidApiKey(req, url, this.apiKey)) {
+            sendJson(res, 401, { ok: false, error: 'Missing or wrong API key' });
+            return;
+        }
+
+        let handler;
+        if (route === 'GET /player/token') {
+            handler = () => this.getAccessToken();
+        } else if (route === 'POST /player/device') {
+            handler = () => readJsonBody(req).then((body) => this.onDevice({
+                deviceId: String(body.deviceId || ''),
+                name: String(body.name || ''),
+                connected: !!body.connected,
+            }));
+        } else {
+            sendJson(res, 404, { ok: false, error: `Unknown route ${req.method} ${url.pathname}` });
+            return;
+        }
+
+        Promise.resolve()
+            .then(handler)
+            .then((data) => sendJson(res, 200, data === undefined ? { ok: true } : data))
+            .catch((e) => sendJson(res, e instanceof HttpError ? e.status : 502, { ok: false, error: e?.message || String(e) }));
+    }
+
+    renderPage(name) {
+        return `<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(name)} – Spotify Player</title>
+<style>
+body{font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;background:#121212;color:#fff;margin:0;display:flex;min-height:100vh;align-items:center;justify-content:center;text-align:center}
+main{max-width:480px;padding:24px}
+img{width:240px;height:240px;object-fit:cover;border-radius:8px;background:#282828}
+h1{font-size:20px;margin:16px 0 4px}
+p{color:#b3b3b3;margin:4px 0}
+button{margin-top:20px;padding:12px 28px;border:0;border-radius:24px;background:#1db954;color:#000;font-size:16px;cursor:pointer}
+#status.error{color:#f15e6c}
+</style>
+</head>
+<body>
+<main>
+  <img id="cover" alt=""/>
+  <h1 id="title">${escapeHtml(name)}</h1>
+  <p id="artist"></p>
+  <p id="status">Verbinde …</p>
+  <button id="start" hidden>Player aktivieren</button>
+</main>
+<script>
+(function () {
+  var params = new URLSearchParams(location.search);
+  var key = params.get('key') || localStorage.getItem('spotifyPlayerKey') || '';
+  if (params.get('key')) localStorage.setItem('spotifyPlayerKey', key);
+  var name = ${JSON.stringify(String(name)).replace(/</g, '\\u003c')};
+  var statusEl = document.getElementById('status');
+  var headers = { 'X-Api-Key': key, 'Content-Type': 'application/json' };
+  var base = location.pathname.replace(/\\/?$/, '/');
+
+  function setStatus(text, isError) {
+    statusEl.textContent = text;
+    statusEl.className = isError ? 'error' : '';
+  }
+
+  function report(deviceId, connected) {
+    return fetch(base + 'device', {
+      method: 'POST', headers: headers, body: JSON.stringify({ deviceId: deviceId, name: name, connected: connected }),
+    }).catch(function () {});
+  }
+
+  if (!key) {
+    setStatus('API-Key fehlt: Seite mit ?key=<API-Key> öffnen.', true);
+    return;
+  }
+
+  window.onSpotifyWebPlaybackSDKReady = function () {
+    var player = new Spotify.Player({
+      name: name,
+      volume: 0.5,
+      getOAuthToken: function (cb) {
+        fetch(base + 'token', { headers: headers })
+          .then(function (r) { return r.json(); })
+          .then(function (data) {
+            if (!data.accessToken) throw new Error(data.error || 'no token');
+            cb(data.accessToken);
+          })
+          .catch(function (e) { setStatus('Kein Token: ' + e.message, true); });
+      },
+    });
+
+    player.addListener('ready', function (e) {
+      setStatus('Bereit als Connect-Gerät „' + name + '“');
+      report(e.device_id, true);
+    });
+    player.addListener('not_ready', function (e) {
+      setStatus('Verbindung verloren …', true);
+      report(e.device_id, false);
+    });
+    player.addListener('initialization_error', function (e) { setStatus(e.message, true); });
+    player.addListener('authentication_error', function (e) { setStatus('Anmeldung fehlgeschlagen: ' + e.message, true); });
+    player.addListener('account_error', function (e) { setStatus('Spotify Premium erforderlich: ' + e.message, true); });
+    player.addListener('autoplay_failed', function () {
+      setStatus('Der Browser blockiert die Wiedergabe.', true);
+      document.getElementById('start').hidden = false;
+    });
+    player.addListener('player_state_changed', function (state) {
+      var item = state && state.track_window && state.track_window.current_track;
+      if (!item) return;
+      document.getElementById('title').textContent = item.name;
+      document.getElementById('artist').textContent = (item.artists || []).map(function (a) { return a.name; }).join(', ');
+      var image = item.album && item.album.images && item.album.images[0];
+      if (image) document.getElementById('cover').src = image.url;
+    });
+
+    document.getElementById('start').onclick = function () {
+      player.activateElement();
+      document.getElementById('start').hidden = true;
+      setStatus('Bereit als Connect-Gerät „' + name + '“');
+    };
+
+    // Browsers only allow audio after a user gesture; kiosk browsers usually allow autoplay
+    document.getElementById('start').hidden = false;
+    window.addEventListener('beforeunload', function () { player.disconnect(); });
+    player.connect();
+  };
+
+  var sdk = document.createElement('script');
+  sdk.src = 'https://sdk.scdn.co/spotify-player.js';
+  sdk.onerror = function () { setStatus('Web Playback SDK konnte nicht geladen werden.', true); };
+  document.head.appendChild(sdk);
+})();
+</script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = { PlayerPage };
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Adaptive polling: a setTimeout chain whose delay depends on the last known playback state.
+ *  - playing: the configured poll interval, shortened to hit the end of the current track
+ *  - paused: a slower interval
+ *  - no active device: heavy back-off
+ * Also keeps a sliding one-minute window of API calls for info.apiCallsPerMinute.
+ */
+
+const END_OF_TRACK_MARGIN_MS = 750;
+const MIN_DELAY_MS = 1_000;
+
+/**
+ * @param {{available: boolean, isPlaying: boolean, remainingMs: number, rateLimitedUntil?: number, circuitOpenUntil?: number}} status
+ *  circuitOpenUntil: the API circuit breaker is open, the next poll is the probe
+ * @param {{playingSec: number, pausedSec: number, idleSec: number}} intervals
+ * @returns {number} delay in ms
+ */
+function computePollDelay(status, intervals) {
+    let delayMs;
+    if (!status.available) {
+        delayMs = intervals.idleSec * 1000;
+    } else if (!status.isPlaying) {
+        delayMs = intervals.pausedSec * 1000;
+    } else {
+        delayMs = intervals.playingSec * 1000;
+        // Poll right after the track ends to pick up the next one quickly
+        if (status.remainingMs > 0 && status.remainingMs + END_OF_TRACK_MARGIN_MS < delayMs) {
+            delayMs = status.remainingMs + END_OF_TRACK_MARGIN_MS;
+        }
+    }
+
+    const blockedMs = Math.max(status.rateLimitedUntil || 0, status.circuitOpenUntil || 0) - Date.now();
+    if (blockedMs > delayMs) delayMs = blockedMs;
+
+    return Math.max(MIN_DELAY_MS, Math.round(delayMs));
+}
+
+class PollScheduler {
+    /**
+     * @param {{adapter: any, poll: () => Promise<any>, getDelay: () => number}} opts
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.poll = opts.poll;
+        this.getDelay = opts.getDelay;
+
+        this.timer = null;
+        this.dueAt = 0;
+        this.running = false;
+        this.stopped = true;
+        this.calls = [];
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            this.adapter.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Poll after delayMs unless a poll is already due earlier.
+     * @param {number} delayMs
+     */
+    pollSoon(delayMs = 800) {
+        if (this.stopped) return;
+        if (this.timer && this.dueAt <= Date.now() + delayMs) return;
+        this.schedule(delayMs);
+    }
+
+    schedule(delayMs) {
+        if (this.stopped) return;
+        if (this.timer) this.adapter.clearTimeout(this.timer);
+
+        this.dueAt = Date.now() + delayMs;
+        this.timer = this.adapter.setTimeout(() => {
+            this.timer = null;
+            this.run();
+        }, delayMs);
+    }
+
+    async run() {
+        // A pollSoon() during a running poll re-arms the timer; the finished poll must not override it
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.poll();
+        } catch (e) {
+            this.adapter.log.debug(`Poll failed: ${e?.message || e}`);
+        } finally {
+            this.running = false;
+        }
+
+        if (!this.timer) this.schedule(this.getDelay());
+    }
+
+    recordCall() {
+        this.calls.push(Date.now());
+    }
+
+    callsPerMinute() {
+        const since = Date.now() - 60_000;
+        while (this.calls.length && this.calls[0] < since) this.calls.shift();
+        return this.calls.length;
+    }
+}
+
+module.exports = { PollScheduler, computePollDelay };
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Extrapolates playback progress between polls.
+ * The last known position is anchored to a timestamp; while playing, the current
+ * position is derived from the elapsed time (clamped to the track duration).
+ */
+
+/**
+ * Format milliseconds as m:ss (or h:mm:ss for long items like podcasts).
+ * @param {number} ms
+ */
+function formatTime(ms) {
+    const total = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+class ProgressTracker {
+    constructor() {
+        this.progressMs = 0;
+        this.durationMs = 0;
+        this.isPlaying = false;
+        this.syncedAt = Date.now();
+    }
+
+    /**
+     * Anchor to a known position. Omitted fields keep their current value.
+     * @param {{progressMs?: number, durationMs?: number, isPlaying?: boolean}} data
+     */
+    sync({ progressMs, durationMs, isPlaying } = {}) {
+        // Freeze the extrapolated position first, so a play/pause toggle does not lose elapsed time
+        this.progressMs = progressMs !== undefined ? Math.max(0, Number(progressMs) || 0) : this.currentMs();
+        if (durationMs !== undefined) this.durationMs = Math.max(0, Number(durationMs) || 0);
+        if (isPlaying !== undefined) this.isPlaying = !!isPlaying;
+        this.syncedAt = Date.now();
+    }
+
+    currentMs() {
+        let ms = this.progressMs;
+        if (this.isPlaying) ms += Date.now() - this.syncedAt;
+        return this.durationMs ? Math.min(ms, this.durationMs) : ms;
+    }
+
+    snapshot() {
+        const progressMs = Math.round(this.currentMs());
+        return {
+            progressMs,
+            progressPercent: this.durationMs ? Math.round((progressMs / this.durationMs) * 1000) / 10 : 0,
+            progress: formatTime(progressMs),
+            duration: formatTime(this.durationMs),
+        };
+    }
+}
+
+module.exports = { ProgressTracker, formatTime };
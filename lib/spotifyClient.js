@@ -7,7 +7,23 @@
  *  - Authorization Code + PKCE (client_id in body, no client_secret)
  */
 
+const { EventEmitter } = require('node:events');
 const { setTimeout: delay } = require('node:timers/promises');
+const { CircuitBreaker } = require('./circuitBreaker');
+
+const ACCOUNTS_BASE_URL = 'https://accounts.spotify.com/';
+const API_BASE_URL = 'https://api.spotify.com/v1/';
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_MAX_RETRY_AFTER_SEC = 60;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10_000;
+
+// Network errors worth another attempt (undici puts the code on err.cause)
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+// The request never reached Spotify, so even non-idempotent requests can be repeated
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
 
 function toBase64(str) {
     return Buffer.from(str, 'utf8').toString('base64');
@@ -24,21 +40,104 @@ function buildUrl(base, path, query) {
     return url.toString();
 }
 
-class SpotifyClient {
+/** Base URL with exactly one trailing slash, so relative paths resolve below it. */
+function baseUrl(url, fallback) {
+    const str = String(url || '').trim();
+    return str ? str.replace(/\/*$/, '/') : fallback;
+}
+
+/** Exponential back-off with jitter (50-100 % of the nominal delay). */
+function backoffMs(attempt) {
+    const nominal = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(nominal * (0.5 + Math.random() / 2));
+}
+
+/** Code of a fetch network error ('ETIMEDOUT' for our own timeout). */
+function networkErrorCode(err) {
+    return String(err?.code || err?.cause?.code || '');
+}
+
+/**
+ * Normalize user input to a Spotify URI.
+ * Accepts spotify:… URIs and open.spotify.com share links (incl. intl-xx prefix and ?si=… suffix).
+ * Returns the trimmed input unchanged if it is neither.
+ */
+function normalizeUri(input) {
+    const str = String(input || '').trim();
+    const m = /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(?:embed\/)?([a-z]+)\/([A-Za-z0-9]+)/i.exec(str);
+    if (m) return `spotify:${m[1].toLowerCase()}:${m[2]}`;
+    return str;
+}
+
+/** Track and episode URIs are played as a list (uris), everything else as context_uri. */
+function isItemUri(uri) {
+    return /^spotify:(track|episode):/.test(String(uri));
+}
+
+/**
+ * Events:
+ *  - 'tokenRefreshed' ({ expiresAt }) after every successful access token refresh
+ *  - 'refreshTokenRotated' (refreshToken) when Spotify returned a new refresh token
+ *  - 'request' ({ method, path }) for every Web API request sent
+ *  - 'rateLimited' ({ retryAfterSec }) when Spotify answered with 429
+ *  - 'apiStatus' ({ state, failures, retryAt, lastError }) when the circuit breaker changes
+ */
+class SpotifyClient extends EventEmitter {
     /**
-     * @param {{clientId:string, clientSecret?:string, refreshToken:string, log?: any}} opts
+     * @param {{
+     *   clientId: string, clientSecret?: string, refreshToken: string, log?: any,
+     *   timeoutMs?: number, maxRetries?: number, maxRetryAfterSec?: number,
+     *   breaker?: {threshold?: number, openMs?: number, maxOpenMs?: number},
+     *   accountsBaseUrl?: string, apiBaseUrl?: string,
+     * }} opts
+     *  accountsBaseUrl / apiBaseUrl: default to Spotify, e.g. a local mock server in tests
+     *  maxRetryAfterSec: longer Retry-After values are not waited for in place; the request fails
+     *  with status 429 and err.retryAfterSec instead (so the command queue is not blocked)
      */
     constructor(opts) {
+        super();
         this.clientId = opts.clientId;
         this.clientSecret = opts.clientSecret || '';
         this.refreshToken = opts.refreshToken;
         this.log = opts.log || console;
+        this.accountsBaseUrl = baseUrl(opts.accountsBaseUrl, ACCOUNTS_BASE_URL);
+        this.apiBaseUrl = baseUrl(opts.apiBaseUrl, API_BASE_URL);
+        this.timeoutMs = Number(opts.timeoutMs) > 0 ? Number(opts.timeoutMs) : DEFAULT_TIMEOUT_MS;
+        this.maxRetries = opts.maxRetries === undefined ? DEFAULT_MAX_RETRIES : Math.max(0, Number(opts.maxRetries) || 0);
+        this.maxRetryAfterSec = Number(opts.maxRetryAfterSec) > 0 ? Number(opts.maxRetryAfterSec) : DEFAULT_MAX_RETRY_AFTER_SEC;
+
+        this.breaker = new CircuitBreaker(opts.breaker);
+        this.breaker.on('stateChange', (status) => this.emit('apiStatus', status));
 
         this.accessToken = '';
         this.expiresAt = 0; // epoch ms
         this.refreshInFlight = null;
     }
 
+    /**
+     * fetch() with a timeout; a timeout rejects with code 'ETIMEDOUT'.
+     * @param {string} url
+     * @param {RequestInit} init
+     */
+    async fetchWithTimeout(url, init) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            const err = new Error(`Request timed out after ${this.timeoutMs} ms`);
+            err.code = 'ETIMEDOUT';
+            controller.abort(err);
+        }, this.timeoutMs);
+        try {
+            // The body is read inside the timeout as well: a connection can also hang mid-response
+            const res = await fetch(url, { ...init, signal: controller.signal });
+            const text = res.status === 204 ? '' : await res.text();
+            return { status: res.status, ok: res.ok, statusText: res.statusText, headers: res.headers, text };
+        } catch (e) {
+            throw controller.signal.aborted && controller.signal.reason ? controller.signal.reason : e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
     setRefreshToken(refreshToken) {
         this.refreshToken = String(refreshToken || '');
     }
@@ -68,7 +167,7 @@ class SpotifyClient {
      * - For Authorization Code (confidential client): Basic auth header is used
      */
     async refreshAccessToken() {
-        const tokenUrl = 'https://accounts.spotify.com/api/token';
+        const tokenUrl = new URL('api/token', this.accountsBaseUrl).toString();
 
         if (!this.refreshToken) {
             throw new Error('No refreshToken configured');
@@ -90,13 +189,13 @@ class SpotifyClient {
             body.set('client_id', this.clientId);
         }
 
-        const res = await fetch(tokenUrl, {
+        const res = await this.fetchWithTimeout(tokenUrl, {
             method: 'POST',
             headers,
             body,
         });
 
-        const text = await res.text();
+        const text = res.text;
         let data = null;
         try {
             data = text ? JSON.parse(text) : null;
@@ -106,7 +205,12 @@ class SpotifyClient {
 
         if (!res.ok) {
             const msg = data?.error_description || data?.error || text || res.statusText;
-            throw new Error(`Spotify token refresh failed (${res.status}): ${msg}`);
+            const err = new Error(`Spotify token refresh failed (${res.status}): ${msg}`);
+            err.status = res.status;
+            // e.g. 'invalid_grant' when the refresh token was revoked
+            err.code = data?.error || '';
+            err.data = data;
+            throw err;
         }
 
         this.accessToken = data.access_token;
@@ -114,72 +218,216 @@ class SpotifyClient {
         this.expiresAt = Date.now() + expiresInSec * 1000;
 
         // refresh_token might be omitted on refresh. Keep the existing one.
-        if (data.refresh_token) {
+        if (data.refresh_token && data.refresh_token !== this.refreshToken) {
             this.refreshToken = data.refresh_token;
+            this.emit('refreshTokenRotated', this.refreshToken);
         }
 
         this.log?.debug?.(`Spotify access token refreshed (expires in ${expiresInSec}s)`);
+        this.emit('tokenRefreshed', { expiresAt: this.expiresAt });
     }
 
     /**
      * Perform a Web API request.
+     * Retries (up to maxRetries): 401 once after a token refresh, 429 after Retry-After,
+     * 5xx and network errors/timeouts with exponential back-off (POST only if it was not sent,
+     * e.g. "next" must not be applied twice).
      */
     async api(method, path, opts = {}) {
         await this.ensureAccessToken();
 
-        const url = buildUrl('https://api.spotify.com/v1/', path.replace(/^\//, ''), opts.query);
+        const url = buildUrl(this.apiBaseUrl, path.replace(/^\//, ''), opts.query);
+        const idempotent = method !== 'POST';
+        let tokenRefreshed = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const headers = {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Accept': 'application/json',
+            };
+
+            let body = undefined;
+            if (opts.body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(opts.body);
+            }
+
+            // Retries of the same request are not checked again (one probe = one request)
+            if (attempt === 0) this.breaker.check();
+            this.emit('request', { method, path });
+
+            let res;
+            try {
+                res = await this.fetchWithTimeout(url, { method, headers, body });
+            } catch (e) {
+                const code = networkErrorCode(e);
+                const err = new Error(`Spotify API request failed ${method} ${path}: ${e?.message || e}${code && !String(e?.message).includes(code) ? ` (${code})` : ''}`);
+                err.code = code || 'ENETWORK';
+                if (attempt < this.maxRetries && RETRYABLE_CODES.has(code) && (idempotent || NOT_SENT_CODES.has(code))) {
+                    this.log?.debug?.(`${err.message} -> retry ${attempt + 1}/${this.maxRetries}`);
+                    await delay(backoffMs(attempt));
+                    continue;
+                }
+                // The breaker counts failed requests, not attempts
+                this.breaker.recordFailure(err);
+                throw err;
+            }
+
+            let data = null;
+            try {
+                data = res.text ? JSON.parse(res.text) : null;
+            } catch {
+                data = null;
+            }
+            const apiError = () => {
+                const msg = data?.error?.message || data?.error_description || res.text || res.statusText;
+                const err = new Error(`Spotify API error (${res.status}) ${method} ${path}: ${msg}`);
+                err.status = res.status;
+                // e.g. 'NO_ACTIVE_DEVICE' for player commands
+                err.reason = String(data?.error?.reason || '');
+                err.data = data;
+                return err;
+            };
+
+            if (res.status === 429) {
+                const retryAfter = Math.max(1, Number(res.headers.get('retry-after')) || 1);
+                this.emit('rateLimited', { retryAfterSec: retryAfter });
+                const err = apiError();
+                err.retryAfterSec = retryAfter;
+                if (attempt >= this.maxRetries || retryAfter > this.maxRetryAfterSec) {
+                    this.log?.warn?.(`Spotify rate limited (429), Retry-After ${retryAfter}s -> giving up on ${method} ${path}`);
+                    this.breaker.recordFailure(err);
+                    throw err;
+                }
+                this.log?.warn?.(`Spotify rate limited (429). Retrying after ${retryAfter}s`);
+                await delay(retryAfter * 1000);
+                continue;
+            }
+
+            if (res.status >= 500) {
+                const err = apiError();
+                if (attempt < this.maxRetries && idempotent) {
+                    this.log?.debug?.(`${err.message} -> retry ${attempt + 1}/${this.maxRetries}`);
+                    await delay(backoffMs(attempt));
+                    continue;
+                }
+                this.breaker.recordFailure(err);
+                throw err;
+            }
+
+            // Any other answer means Spotify is reachable
+            this.breaker.recordSuccess();
+
+            if (res.status === 401 && !tokenRefreshed) {
+                tokenRefreshed = true;
+                await this.refreshAccessToken();
+                attempt--; // not a failed attempt
+                continue;
+            }
+
+            if (res.status === 204) {
+                return null;
+            }
+
+            if (!res.ok) {
+                throw apiError();
+            }
+
+            return data;
+        }
+    }
 
-        const headers = {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Accept': 'application/json',
-        };
+    // Convenience wrappers
+    async getPlaybackState() {
+        // Without additional_types, episodes come back with item=null
+        return this.api('GET', '/me/player', { query: { additional_types: 'track,episode' } });
+    }
 
-        let body = undefined;
-        if (opts.body !== undefined) {
-            headers['Content-Type'] = 'application/json';
-            body = JSON.stringify(opts.body);
+    /**
+     * Collect all items of an offset-paged endpoint (limit/offset/total).
+     * @param {string} path
+     * @param {{query?: object, limit?: number, maxItems?: number, stopWhen?: (item: any) => boolean}} [opts]
+     *  stopWhen: no further pages after one that contains a matching item (for lists sorted by date)
+     */
+    async getAllPages(path, { query = {}, limit = 50, maxItems = Infinity, stopWhen } = {}) {
+        const items = [];
+        let offset = 0;
+        for (;;) {
+            const page = await this.api('GET', path, { query: { ...query, limit, offset } });
+            const pageItems = Array.isArray(page?.items) ? page.items : [];
+            items.push(...pageItems);
+            offset += pageItems.length;
+            if (!page?.next || !pageItems.length || items.length >= maxItems) break;
+            if (stopWhen && pageItems.some(stopWhen)) break;
         }
+        return items.slice(0, maxItems);
+    }
 
-        const res = await fetch(url, { method, headers, body });
+    async getMyPlaylists(opts) {
+        return this.getAllPages('/me/playlists', opts);
+    }
 
-        if (res.status === 401) {
-            await this.refreshAccessToken();
-            return this.api(method, path, opts);
-        }
+    /** Saved albums; each entry is { added_at, album }. */
+    async getSavedAlbums(opts) {
+        return this.getAllPages('/me/albums', opts);
+    }
 
-        if (res.status === 429) {
-            const retryAfter = Number(res.headers.get('retry-after') || '1');
-            this.log?.warn?.(`Spotify rate limited (429). Retrying after ${retryAfter}s`);
-            await delay(Math.max(1, retryAfter) * 1000);
-            return this.api(method, path, opts);
-        }
+    /** Saved tracks; each entry is { added_at, track }. */
+    async getSavedTracks(opts) {
+        return this.getAllPages('/me/tracks', opts);
+    }
 
-        if (res.status === 204) {
-            return null;
+    /** Followed artists (cursor-paged, unlike the other library endpoints). */
+    async getFollowedArtists({ maxItems = Infinity } = {}) {
+        const items = [];
+        let after;
+        for (;;) {
+            const data = await this.api('GET', '/me/following', { query: { type: 'artist', limit: 50, after } });
+            const page = data?.artists;
+            const pageItems = Array.isArray(page?.items) ? page.items : [];
+            items.push(...pageItems);
+            after = page?.cursors?.after;
+            if (!page?.next || !after || !pageItems.length || items.length >= maxItems) break;
         }
+        return items.slice(0, maxItems);
+    }
 
-        const text = await res.text();
-        let data = null;
-        try {
-            data = text ? JSON.parse(text) : null;
-        } catch {
-            data = null;
-        }
+    /**
+     * Search the catalog.
+     * @param {string} q
+     * @param {{type?: string, limit?: number}} [opts] type: track|album|artist|playlist|show|episode
+     * @returns {Promise<any[]>} items of the requested type (best match first)
+     */
+    async search(q, { type = 'track', limit = 10 } = {}) {
+        const data = await this.api('GET', '/search', {
+            // from_token: market of the user, without it many shows/episodes are missing
+            query: { q: String(q), type, limit, market: 'from_token' },
+        });
+        const items = data?.[`${type}s`]?.items;
+        return Array.isArray(items) ? items.filter(Boolean) : [];
+    }
 
-        if (!res.ok) {
-            const msg = data?.error?.message || data?.error_description || text || res.statusText;
-            const err = new Error(`Spotify API error (${res.status}) ${method} ${path}: ${msg}`);
-            err.status = res.status;
-            err.data = data;
-            throw err;
-        }
+    /** Current item and upcoming queue: { currently_playing, queue: [] } */
+    async getQueue() {
+        return this.api('GET', '/me/player/queue');
+    }
 
-        return data;
+    async getAlbumTracks(albumId, opts) {
+        return this.getAllPages(`/albums/${encodeURIComponent(albumId)}/tracks`, opts);
     }
 
-    // Convenience wrappers
-    async getPlaybackState() {
-        return this.api('GET', '/me/player');
+    /** Playlist tracks; each entry is { added_at, track } (track may be null for removed items). */
+    async getPlaylistTracks(playlistId, opts) {
+        return this.getAllPages(`/playlists/${encodeURIComponent(playlistId)}/tracks`, opts);
+    }
+
+    /**
+     * Recently played tracks (max. 50, newest first); each entry is { played_at, track, context }.
+     * @param {{after?: number}} [opts] after: only plays after this timestamp (ms)
+     */
+    async getRecentlyPlayed({ after } = {}) {
+        const data = await this.api('GET', '/me/player/recently-played', { query: { limit: 50, after } });
+        return Array.isArray(data?.items) ? data.items : [];
     }
 
     async getDevices() {
@@ -246,14 +494,94 @@ class SpotifyClient {
         await this.api('PUT', '/me/player', { body });
     }
 
-    async playUri(uri, { deviceId } = {}) {
-        const clean = String(uri).trim();
+    /**
+     * Start playback with a raw body: { context_uri?, uris?, offset?: { position } | { uri }, position_ms? }
+     */
+    async startPlayback(body, { deviceId } = {}) {
         const query = deviceId ? { device_id: deviceId } : undefined;
+        await this.api('PUT', '/me/player/play', { query, body });
+    }
 
-        const body = clean.includes(':track:') ? { uris: [clean] } : { context_uri: clean };
+    /**
+     * Play a URI, a share link or a list of track/episode URIs.
+     * @param {string|string[]} uri
+     */
+    async playUri(uri, { deviceId } = {}) {
+        const list = (Array.isArray(uri) ? uri : [uri]).map(normalizeUri).filter(Boolean);
+        if (!list.length) throw new Error('No URI to play');
+
+        let body;
+        if (list.every(isItemUri)) {
+            body = { uris: list };
+        } else if (list.length === 1) {
+            body = { context_uri: list[0] };
+        } else {
+            throw new Error('A URI list may only contain track/episode URIs');
+        }
 
-        await this.api('PUT', '/me/player/play', { query, body });
+        await this.startPlayback(body, { deviceId });
+    }
+
+    /** Profile of the logged-in user ({ id, display_name, ... }). */
+    async getMe() {
+        return this.api('GET', '/me');
+    }
+
+    /**
+     * Create a playlist for the logged-in user.
+     * @param {string} name
+     * @param {{description?: string, isPublic?: boolean}} [opts]
+     * @returns {Promise<any>} the new playlist object
+     */
+    async createPlaylist(name, { description = '', isPublic = false } = {}) {
+        const me = await this.getMe();
+        return this.api('POST', `/users/${encodeURIComponent(me.id)}/playlists`, {
+            body: { name: String(name), description: String(description), public: !!isPublic },
+        });
+    }
+
+    /**
+     * Append items to a playlist (Spotify accepts 100 per request).
+     * @param {string} playlistId
+     * @param {string[]} uris track/episode URIs
+     */
+    async addToPlaylist(playlistId, uris) {
+        for (let i = 0; i < uris.length; i += 100) {
+            await this.api('POST', `/playlists/${encodeURIComponent(playlistId)}/tracks`, { body: { uris: uris.slice(i, i + 100) } });
+        }
+    }
+
+    /**
+     * Remove all occurrences of the items from a playlist (100 per request).
+     * @param {string} playlistId
+     * @param {string[]} uris
+     */
+    async removeFromPlaylist(playlistId, uris) {
+        for (let i = 0; i < uris.length; i += 100) {
+            await this.api('DELETE', `/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+                body: { tracks: uris.slice(i, i + 100).map((uri) => ({ uri })) },
+            });
+        }
+    }
+
+    /** Add tracks to "Liked Songs" (max. 50 ids). */
+    async saveTracks(ids) {
+        await this.api('PUT', '/me/tracks', { body: { ids } });
+    }
+
+    /** Remove tracks from "Liked Songs" (max. 50 ids). */
+    async removeSavedTracks(ids) {
+        await this.api('DELETE', '/me/tracks', { body: { ids } });
+    }
+
+    /**
+     * @param {string[]} ids track ids (max. 50)
+     * @returns {Promise<boolean[]>} liked flag per id
+     */
+    async containsSavedTracks(ids) {
+        const data = await this.api('GET', '/me/tracks/contains', { query: { ids: ids.join(',') } });
+        return Array.isArray(data) ? data.map(Boolean) : ids.map(() => false);
     }
 }
 
-module.exports = { SpotifyClient };
+module.exports = { SpotifyClient, normalizeUri, isItemUri, baseUrl, ACCOUNTS_BASE_URL, API_BASE_URL };
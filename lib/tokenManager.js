@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Token lifecycle manager.
+ *  - persists refresh tokens rotated by Spotify (via adapter.saveRefreshToken)
+ *  - refreshes the access token shortly before it expires (no waiting for a 401)
+ *  - publishes auth health to info.tokenExpiresAt / info.lastTokenRefresh / info.authError
+ *    (below an optional state prefix, used for additional accounts)
+ *
+ * Rotated refresh tokens are not written to the instance config (that would restart the adapter,
+ * which refreshes and rotates again) but to the state info.rotatedRefreshToken, encrypted and bound
+ * to the configured token they were derived from: a new OAuth login stores a new configured token,
+ * the binding no longer matches and the stale rotated token is ignored.
+ */
+
+const crypto = require('node:crypto');
+
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60_000;
+const RETRY_DELAY_MS = 60_000;
+
+const RELOGIN_REQUIRED = 'Re-login required: Spotify rejected the refresh token (invalid_grant). Use "MIT SPOTIFY VERBINDEN" in the instance settings.';
+
+function isInvalidGrant(e) {
+    return e?.code === 'invalid_grant';
+}
+
+function tokenOrigin(configuredToken) {
+    return crypto.createHash('sha256').update(String(configuredToken || '')).digest('base64url');
+}
+
+/**
+ * Value of info.rotatedRefreshToken for a rotated token.
+ * @param {string} token rotated refresh token
+ * @param {string} configuredToken refresh token in the instance config
+ * @param {(value: string) => string} encrypt
+ */
+function rotatedTokenRecord(token, configuredToken, encrypt) {
+    return JSON.stringify({ origin: tokenOrigin(configuredToken), token: encrypt(String(token)) });
+}
+
+/**
+ * Refresh token to start with: the rotated one if it belongs to the configured token, else the configured one.
+ * @param {string} record value of info.rotatedRefreshToken ('' = none)
+ * @param {string} configuredToken
+ * @param {(value: string) => string} decrypt
+ */
+function selectRefreshToken(record, configuredToken, decrypt) {
+    const stored = record ? JSON.parse(String(record)) : null;
+    if (stored?.token && stored.origin === tokenOrigin(configuredToken)) return decrypt(stored.token);
+    return String(configuredToken || '');
+}
+
+class TokenManager {
+    /**
+     * @param {{adapter: any, client: import('./spotifyClient').SpotifyClient, prefix?: string, persist?: (refreshToken: string) => Promise<void>}} opts
+     *  prefix: state id prefix incl. trailing dot (default: none)
+     *  persist: stores a rotated refresh token (default: adapter.saveRefreshToken)
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.client = opts.client;
+        this.prefix = opts.prefix || '';
+        this.persist = opts.persist || ((refreshToken) => this.adapter.saveRefreshToken({ refreshToken, rotated: true }));
+        this.timer = null;
+        this.stopped = false;
+
+        this.onTokenRefreshed = this.onTokenRefreshed.bind(this);
+        this.onRefreshTokenRotated = this.onRefreshTokenRotated.bind(this);
+
+        this.client.on('tokenRefreshed', this.onTokenRefreshed);
+        this.client.on('refreshTokenRotated', this.onRefreshTokenRotated);
+    }
+
+    /**
+     * Initial refresh. Throws if authentication fails.
+     */
+    async start() {
+        this.stopped = false;
+        await this.refresh();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            this.adapter.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.client.off('tokenRefreshed', this.onTokenRefreshed);
+        this.client.off('refreshTokenRotated', this.onRefreshTokenRotated);
+    }
+
+    async refresh() {
+        try {
+            await this.client.refreshAccessToken();
+        } catch (e) {
+            await this.onRefreshFailed(e);
+            throw e;
+        }
+    }
+
+    schedule(delayMs) {
+        if (this.stopped) return;
+        if (this.timer) this.adapter.clearTimeout(this.timer);
+
+        this.timer = this.adapter.setTimeout(() => {
+            this.timer = null;
+            this.refresh().catch(() => {
+                // already reported in onRefreshFailed
+            });
+        }, Math.max(1_000, delayMs));
+    }
+
+    async onTokenRefreshed({ expiresAt }) {
+        this.schedule(expiresAt - Date.now() - REFRESH_BEFORE_EXPIRY_MS);
+
+        try {
+            await this.adapter.setStateAsync(`${this.prefix}info.tokenExpiresAt`, expiresAt, true);
+            await this.adapter.setStateAsync(`${this.prefix}info.lastTokenRefresh`, Date.now(), true);
+            await this.adapter.setStateAsync(`${this.prefix}info.authError`, '', true);
+            await this.adapter.setStateAsync(`${this.prefix}info.connection`, true, true);
+        } catch (e) {
+            this.adapter.log.debug(`Cannot update token states: ${e?.message || e}`);
+        }
+    }
+
+    async onRefreshTokenRotated(refreshToken) {
+        this.adapter.log.debug('Spotify rotated the refresh token, persisting it');
+        try {
+            await this.persist(refreshToken);
+        } catch (e) {
+            this.adapter.log.warn(`Cannot persist rotated refresh token: ${e?.message || e}`);
+        }
+    }
+
+    async onRefreshFailed(e) {
+        if (isInvalidGrant(e)) {
+            this.adapter.log.error(RELOGIN_REQUIRED);
+            await this.adapter.setStateAsync(`${this.prefix}info.authError`, RELOGIN_REQUIRED, true);
+            await this.adapter.setStateAsync(`${this.prefix}info.connection`, false, true);
+            // No retry: the token will not become valid again
+            return;
+        }
+
+        await this.adapter.setStateAsync(`${this.prefix}info.authError`, `Token refresh failed: ${e?.message || e}`, true);
+        this.schedule(RETRY_DELAY_MS);
+    }
+}
+
+module.exports = { TokenManager, isInvalidGrant, rotatedTokenRecord, selectRefreshToken };
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Small helpers shared by the adapter and the account runtimes.
+ */
+
+// Same class as adapter.FORBIDDEN_CHARS (js-controller tools); this module has no adapter instance
+const FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu;
+
+/** Turn a (device/account/preset/playlist) name into a valid object id segment. */
+function sanitizeId(name) {
+    return String(name || '')
+        .trim()
+        .replace(FORBIDDEN_CHARS, '_')
+        .replace(/[.\s]+/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'unknown';
+}
+
+/**
+ * Pick small/medium/large image URLs from a Spotify image array (sizes vary, usually 64/300/640).
+ */
+function pickImages(images) {
+    const list = (Array.isArray(images) ? images : [])
+        .filter((img) => img?.url)
+        .sort((a, b) => (Number(b.width) || 0) - (Number(a.width) || 0));
+    if (!list.length) return { small: '', medium: '', large: '' };
+    return {
+        large: list[0].url,
+        medium: list[Math.floor(list.length / 2)].url,
+        small: list[list.length - 1].url,
+    };
+}
+
+module.exports = { sanitizeId, pickImages };
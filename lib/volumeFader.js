@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Volume ramps built on setVolume().
+ * Spotify applies volume changes with noticeable latency and rate-limits bursts, so steps are
+ * spaced at least minStepMs apart and wait out an active 429 back-off. Only one fade runs at a
+ * time: starting a new fade (or cancel()) stops the running one.
+ */
+
+const DEFAULT_MIN_STEP_MS = 1_000;
+
+class VolumeFader {
+    /**
+     * @param {{adapter: any, setVolume: (volume: number) => Promise<void>, getRateLimitedUntil?: () => number, minStepMs?: number}} opts
+     *  setVolume: applies one step (should be serialized with other commands by the caller)
+     */
+    constructor(opts) {
+        this.adapter = opts.adapter;
+        this.setVolume = opts.setVolume;
+        this.getRateLimitedUntil = opts.getRateLimitedUntil || (() => 0);
+        this.minStepMs = opts.minStepMs || DEFAULT_MIN_STEP_MS;
+        this.generation = 0;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    cancel() {
+        this.generation++;
+        if (this.timer) {
+            this.adapter.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.wake) {
+            const wake = this.wake;
+            this.wake = null;
+            wake();
+        }
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => {
+            this.wake = resolve;
+            this.timer = this.adapter.setTimeout(() => {
+                this.timer = null;
+                this.wake = null;
+                resolve();
+            }, Math.max(0, ms));
+        });
+    }
+
+    /**
+     * Ramp linearly from one volume to another.
+     * @param {number} from start volume (0-100)
+     * @param {number} to target volume (0-100)
+     * @param {number} durationMs
+     * @returns {Promise<boolean>} true if the target was reached, false if cancelled; rejects with
+     *  the error of a failed step (no further steps are sent)
+     */
+    async fade(from, to, durationMs) {
+        this.cancel();
+        const generation = this.generation;
+
+        const start = Math.max(0, Math.min(100, Math.round(Number(from) || 0)));
+        const target = Math.max(0, Math.min(100, Math.round(Number(to) || 0)));
+        const delta = target - start;
+
+        // One step per volume percent at most, and no more than one step per minStepMs
+        const steps = Math.max(1, Math.min(Math.abs(delta), Math.floor(Math.max(0, durationMs) / this.minStepMs)));
+        const stepMs = steps > 1 ? Math.max(this.minStepMs, durationMs / steps) : 0;
+
+        for (let i = 1; i <= steps; i++) {
+            if (i > 1) await this.sleep(stepMs);
+
+            const rateLimitedMs = this.getRateLimitedUntil() - Date.now();
+            if (rateLimitedMs > 0) await this.sleep(rateLimitedMs);
+
+            if (generation !== this.generation) return false;
+            await this.setVolume(Math.round(start + (delta * i) / steps));
+        }
+        return generation === this.generation;
+    }
+}
+
+module.exports = { VolumeFader };
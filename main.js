@@ -7,7 +7,21 @@
  */
 
 const utils = require('@iobroker/adapter-core');
-const { SpotifyClient } = require('./lib/spotifyClient');
+const { SpotifyClient, normalizeUri, isItemUri, baseUrl, ACCOUNTS_BASE_URL } = require('./lib/spotifyClient');
+const { TokenManager, rotatedTokenRecord, selectRefreshToken } = require('./lib/tokenManager');
+const { ProgressTracker } = require('./lib/progressTracker');
+const { PollScheduler, computePollDelay } = require('./lib/pollScheduler');
+const { sanitizeId, pickImages } = require('./lib/utils');
+const { Account, accountKey } = require('./lib/account');
+const { VolumeFader } = require('./lib/volumeFader');
+const { HistoryRecorder, HistoryStore, computeStats, startOfDay } = require('./lib/history');
+const { diffPlayback, EVENT_TYPES } = require('./lib/playbackEvents');
+const { EventBridge } = require('./lib/eventBridge');
+const { LocalApi } = require('./lib/localApi');
+const { PlayerPage } = require('./lib/playerPage');
+const { renderNowPlaying } = require('./lib/nowPlayingPage');
+const { periodStart, selectFromHistory, selectFromLiked, diffPlaylist } = require('./lib/autoPlaylists');
+const { CommandQueue } = require('./lib/commandQueue');
 
 const http = require('node:http');
 const https = require('node:https');
@@ -36,6 +50,59 @@ function sha256Base64Url(str) {
     return base64UrlEncode(hash);
 }
 
+/** Compact representation of a Spotify object for list widgets. */
+function toListEntry(item) {
+    const artists = Array.isArray(item?.artists) ? item.artists : [];
+    return {
+        name: String(item?.name || ''),
+        uri: String(item?.uri || ''),
+        image: pickImages(item?.images || item?.album?.images).medium,
+        artist: artists.map((a) => a?.name).filter(Boolean).join(', ')
+            || String(item?.owner?.display_name || item?.publisher || item?.show?.name || ''),
+    };
+}
+
+// Every queued track is one API call; do not flood the API with huge playlists
+const QUEUE_EXPAND_MAX = 100;
+
+/** 404 NO_ACTIVE_DEVICE from the player API. */
+function isDeviceUnavailableError(e) {
+    return e?.status === 404 && e.reason === 'NO_ACTIVE_DEVICE';
+}
+
+// control.* commands that need an active device and get the device wakeup (runWithDeviceWakeup)
+const PLAYER_COMMANDS = new Set(['control.play', 'control.pause', 'control.toggle', 'control.next', 'control.previous', 'control.seek',
+    'control.volume', 'control.shuffle', 'control.repeat', 'control.playUri', 'control.addToQueue', 'control.playSearch', 'control.preset']);
+
+const DEVICE_WAKEUP_TIMEOUT_MS = 10_000;
+
+// Fixed states next to the device channels in devices.*
+const RESERVED_DEVICE_KEYS = new Set(['json']);
+
+/** Channel id of a device below devices.*: its sanitized name, suffixed if it collides with a fixed state. */
+function deviceKey(name) {
+    const key = sanitizeId(name);
+    return RESERVED_DEVICE_KEYS.has(key) ? `${key}_device` : key;
+}
+
+// Relative volume presses arriving within this window become one setVolume call
+const VOLUME_MERGE_MS = 300;
+const RELATIVE_VOLUME_COMMANDS = new Set(['control.volumeUp', 'control.volumeDown', 'control.volumeStep', 'control.mute', 'control.unmute']);
+
+// Writes of these states (last id segment) supersede a pending write of the same state
+const COALESCED_COMMANDS = new Set(['volume', 'seek', 'shuffle', 'repeat', 'fadeTo', 'sleepTimer', 'search', 'searchType']);
+
+// Library refresh, history backfill and playlist sync page through many API calls
+const BACKGROUND_TIMEOUT_MS = 10 * 60_000;
+
+const SEARCH_TYPES = new Set(['track', 'album', 'artist', 'playlist', 'show', 'episode']);
+
+// Saved tracks can be several thousand; keep the JSON state usable
+const LIBRARY_MAX_TRACKS = 500;
+
+// playback.isLiked is checked on every item change and every Nth poll (likes made in the Spotify app)
+const LIKED_RECHECK_POLLS = 10;
+
 function safeUrl(url) {
     try {
         // Ensure URL is valid
@@ -53,11 +120,49 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         });
 
         this.spotify = null;
-        this.pollTimer = null;
-        this.commandQueue = Promise.resolve();
+        this.tokenManager = null;
+        this.accounts = new Map(); // key -> Account (additional accounts)
+        this.pollScheduler = null;
+        this.playbackAvailable = false;
+        this.lastItemUri = '';
+        this.queueStale = false; // queue.* not refreshed for the current item yet (refresh failed)
+        this.pollsSinceLikedCheck = 0;
+        this.rateLimitedUntil = 0;
+        this.progress = new ProgressTracker();
+        this.progressTimer = null;
+        this.fadeDeviceId = undefined;
+        this.fader = new VolumeFader({
+            adapter: this,
+            // Each step is a separate queued job behind user commands (not counted in info.lastCommandMs, see
+            // 'done' below) but ahead of long background jobs; a step still pending is replaced by the next one.
+            // A failed step rejects and ends the fade.
+            setVolume: (volume) => this.commands.push(() => this.spotify?.setVolume(volume, { deviceId: this.fadeDeviceId }), {
+                priority: 'poll', key: 'fade', label: 'fade',
+            }),
+            getRateLimitedUntil: () => this.rateLimitedUntil,
+        });
+        this.sleepTimer = null; // { endsAt, ticker, fadeTimer }
+        this.pendingVolume = null; // { target, timer, callers } while relative volume presses are being merged
+        this.history = null; // HistoryStore, if enabled
+        this.historyRecorder = new HistoryRecorder();
+        this.historyTimer = null;
+        this.autoPlaylistTimer = null;
+        this.lastSnapshot = undefined; // undefined until the first poll: no events for the initial state
+        this.bridge = null; // EventBridge (webhooks / MQTT), if configured
+        this.localApi = null; // REST/WebSocket API on the callback server, if enabled
+        this.playerPage = null; // Web Playback SDK page on the callback server, if enabled
+        this.commands = new CommandQueue({ adapter: this });
+        this.commands.on('length', (length) => {
+            this.setStateChangedAsync('info.queueLength', length, true).catch(() => {});
+        });
+        this.commands.on('done', (job) => {
+            if (job.priority !== 'command') return;
+            this.setStateAsync('info.lastCommandMs', job.waitMs + job.runMs, true).catch(() => {});
+            if (job.waitMs > 5_000) this.log.debug(`${job.label || 'Command'} waited ${job.waitMs} ms in the queue`);
+        });
 
         // OAuth state -> verifier (and runtime config) map
-        this.oauthStates = new Map(); // state -> { codeVerifier, createdAt, clientId, redirectUri }
+        this.oauthStates = new Map(); // state -> { codeVerifier, createdAt, clientId, redirectUri, account }
         this.server = null;
         this.serverInfo = null; // { protocol, port, path }
         this.serverRuntimeConfig = null; // { generateSelfSignedCert: boolean }
@@ -70,10 +175,59 @@ class SpotifyPremiumAdapter extends utils.Adapter {
     }
 
     async onReady() {
+        this.commands.timeoutMs = Math.max(5, Number(this.config.commandTimeoutSec) || 60) * 1000;
         await this.setStateAsync('info.connection', false, true);
 
         await this.ensureObjectTree();
         this.subscribeStates('control.*');
+        this.subscribeStates('devices.*');
+        this.subscribeStates('playlists.*');
+        this.subscribeStates('presets.*');
+        this.subscribeStates('player.*');
+        this.subscribeStates('autoPlaylists.*');
+        await this.syncPresetObjects();
+        await this.syncAutoPlaylistObjects();
+
+        if (this.config.apiEnabled) {
+            if (!this.config.apiKey) {
+                this.log.warn('Local API enabled, but no API key configured -> API disabled');
+            } else if (!this.config.redirectUri) {
+                this.log.warn('Local API needs the callback server (redirect URI) -> API disabled');
+            } else {
+                this.localApi = new LocalApi({
+                    adapter: this,
+                    apiKey: this.config.apiKey,
+                    getState: () => this.getApiState(),
+                    getDevices: () => {
+                        if (!this.spotify) throw new Error('Spotify not authenticated');
+                        return this.commands.push(() => this.spotify.getDevices(), { key: 'api.devices', label: 'api.devices' });
+                    },
+                    runCommand: (stateId, val) => this.runApiCommand(stateId, val),
+                });
+            }
+        }
+
+        if (this.config.playerEnabled) {
+            if (!this.config.apiKey || !this.config.redirectUri) {
+                this.log.warn('Browser player needs an API key and the callback server (redirect URI) -> player disabled');
+            } else {
+                if (!this.config.includeStreamingScope) {
+                    this.log.warn('Browser player enabled without the streaming scope: enable it and connect to Spotify again');
+                }
+                this.playerPage = new PlayerPage({
+                    adapter: this,
+                    apiKey: this.config.apiKey,
+                    playerName: this.config.playerName,
+                    getAccessToken: async () => {
+                        if (!this.spotify) throw new Error('Spotify not authenticated');
+                        await this.spotify.ensureAccessToken();
+                        // Access token only: the refresh token never leaves the adapter
+                        return { accessToken: this.spotify.accessToken, expiresAt: this.spotify.expiresAt };
+                    },
+                    onDevice: (info) => this.setPlayerDevice(info),
+                });
+            }
+        }
 
         // Start callback server if redirect URI configured
         if (this.config.redirectUri) {
@@ -84,6 +238,32 @@ class SpotifyPremiumAdapter extends utils.Adapter {
             }
         }
 
+        if (this.config.historyEnabled) {
+            try {
+                this.history = new HistoryStore({
+                    dir: path.join(utils.getAbsoluteInstanceDataDir(this), 'history'),
+                    retentionDays: this.config.historyRetentionDays,
+                    log: this.log,
+                });
+                await this.history.cleanup();
+                await this.updateHistoryStats();
+                // Day/week windows move even without new plays; also cleans up old files
+                this.historyTimer = this.setInterval(() => {
+                    this.history.cleanup()
+                        .then(() => this.updateHistoryStats())
+                        .catch((e) => this.log.debug(`History maintenance failed: ${e?.message || e}`));
+                }, 15 * 60_000);
+            } catch (e) {
+                this.log.warn(`Listening history disabled: ${e?.message || e}`);
+                this.history = null;
+            }
+        }
+
+        if (this.config.webhookUrls || this.config.mqttEnabled) {
+            this.bridge = new EventBridge({ adapter: this });
+            await this.bridge.start().catch((e) => this.log.warn(`Event bridge not started: ${e?.message || e}`));
+        }
+
         // Init Spotify client if refresh token exists
         if (this.config.clientId && this.config.refreshToken) {
             await this.initSpotifyClient();
@@ -93,284 +273,1882 @@ class SpotifyPremiumAdapter extends utils.Adapter {
 
         if (this.spotify) {
             if (this.config.autoRefreshDevicesOnStart) {
-                this.queueCommand(() => this.refreshDevices());
+                this.queueCommand(() => this.refreshDevices(), { priority: 'background', key: 'refreshDevices' });
+            }
+            if (this.config.autoRefreshLibraryOnStart) {
+                this.queueCommand(() => this.refreshLibrary(), { priority: 'background', key: 'refreshLibrary', timeoutMs: BACKGROUND_TIMEOUT_MS });
+            }
+            if (this.history) {
+                this.queueCommand(() => this.backfillHistory(), { priority: 'background', key: 'backfillHistory', timeoutMs: BACKGROUND_TIMEOUT_MS });
+            }
+            if (this.getAutoPlaylists().size) {
+                const intervalMin = Math.max(15, Number(this.config.autoPlaylistInterval) || 60);
+                const sync = () => this.queueCommand(() => this.syncAutoPlaylists(), { priority: 'background', key: 'syncAutoPlaylists', timeoutMs: BACKGROUND_TIMEOUT_MS });
+                sync();
+                this.autoPlaylistTimer = this.setInterval(sync, intervalMin * 60_000);
+            }
+
+            const intervals = this.getPollIntervals();
+            this.log.info(`Polling Spotify playback state adaptively (playing ${intervals.playingSec}s, paused ${intervals.pausedSec}s, idle ${intervals.idleSec}s)`);
+
+            this.pollScheduler = new PollScheduler({
+                adapter: this,
+                poll: async () => {
+                    await this.queueCommand(() => this.pollPlayback(), { priority: 'poll', key: 'poll' });
+                    await this.setStateChangedAsync('info.apiCallsPerMinute', this.pollScheduler.callsPerMinute(), true);
+                },
+                getDelay: () => computePollDelay({
+                    available: this.playbackAvailable,
+                    isPlaying: this.progress.isPlaying,
+                    remainingMs: this.progress.durationMs ? this.progress.durationMs - this.progress.currentMs() : 0,
+                    rateLimitedUntil: this.rateLimitedUntil,
+                    circuitOpenUntil: this.spotify?.breaker.openUntil,
+                }, intervals),
+            });
+            this.pollScheduler.start();
+
+            const tickSec = Number(this.config.progressUpdateInterval);
+            if (Number.isFinite(tickSec) && tickSec > 0) {
+                this.progressTimer = this.setInterval(() => {
+                    if (this.progress.isPlaying) {
+                        this.publishProgress().catch((e) => this.log.debug(`Progress update failed: ${e?.message || e}`));
+                    }
+                }, Math.max(0.25, tickSec) * 1000);
+            }
+
+            await this.restoreSleepTimer();
+        }
+
+        await this.initAccounts();
+    }
+
+    getPollIntervals() {
+        return {
+            playingSec: Math.max(2, Number(this.config.pollInterval) || 5),
+            pausedSec: Math.max(2, Number(this.config.pollIntervalPaused) || 15),
+            idleSec: Math.max(10, Number(this.config.pollIntervalIdle) || 60),
+        };
+    }
+
+    /** Start the additional accounts from the "accounts" config table. */
+    async initAccounts() {
+        const rows = Array.isArray(this.config.accounts) ? this.config.accounts : [];
+        const tokens = this.config.accountTokens && typeof this.config.accountTokens === 'object' ? this.config.accountTokens : {};
+
+        for (const row of rows) {
+            if (!row || row.enabled === false) continue;
+            const key = accountKey(row.name);
+            if (!key) {
+                this.log.warn(`Ignoring account "${row.name}": invalid or reserved name`);
+                continue;
+            }
+            if (this.accounts.has(key)) {
+                this.log.warn(`Ignoring duplicate account "${row.name}"`);
+                continue;
             }
 
-            const intervalSec = Math.max(2, Number(this.config.pollInterval) || 5);
-            this.log.info(`Polling Spotify playback state every ${intervalSec}s`);
-            this.pollTimer = this.setInterval(() => {
-                this.queueCommand(() => this.pollPlayback());
-            }, intervalSec * 1000);
+            let refreshToken = '';
+            try {
+                refreshToken = tokens[key] ? this.decrypt(String(tokens[key])) : '';
+            } catch (e) {
+                this.log.warn(`Cannot decrypt refresh token of account "${row.name}": ${e?.message || e}`);
+            }
 
-            this.queueCommand(() => this.pollPlayback());
+            const account = new Account({ adapter: this, key, name: String(row.name).trim(), refreshToken });
+            this.accounts.set(key, account);
+            this.subscribeStates(`${key}.control.*`);
+            await account.start(this.getPollIntervals());
         }
     }
 
     async initSpotifyClient() {
+        if (this.tokenManager) {
+            this.tokenManager.stop();
+            this.tokenManager = null;
+        }
+
         this.spotify = new SpotifyClient({
             clientId: String(this.config.clientId),
             clientSecret: String(this.config.clientSecret || ''),
-            refreshToken: String(this.config.refreshToken || ''),
+            refreshToken: await this.loadRefreshToken(),
             log: this.log,
+            ...this.getClientOptions(),
+        });
+        this.tokenManager = new TokenManager({ adapter: this, client: this.spotify });
+        this.spotify.on('request', () => this.pollScheduler?.recordCall());
+        this.spotify.on('rateLimited', ({ retryAfterSec }) => {
+            this.rateLimitedUntil = Date.now() + retryAfterSec * 1000;
+        });
+        this.spotify.on('apiStatus', (status) => {
+            this.reportApiStatus(status).catch((e) => this.log.debug(`Cannot report API status: ${e?.message || e}`));
         });
 
         try {
-            await this.spotify.refreshAccessToken();
-            await this.setStateAsync('info.connection', true, true);
+            await this.tokenManager.start();
             this.log.info('Spotify authenticated ✅');
         } catch (e) {
             await this.setStateAsync('info.connection', false, true);
             this.log.error(`Failed to authenticate with Spotify: ${e?.message || e}`);
+            this.tokenManager.stop();
+            this.tokenManager = null;
             this.spotify = null;
         }
     }
 
-    /** Ensure channels + states exist. */
-    async ensureObjectTree() {
-        await this.setObjectNotExistsAsync('playback', { type: 'channel', common: { name: 'Playback' }, native: {} });
-        await this.setObjectNotExistsAsync('control', { type: 'channel', common: { name: 'Control' }, native: {} });
-        await this.setObjectNotExistsAsync('devices', { type: 'channel', common: { name: 'Devices' }, native: {} });
+    /** Base URLs, timeout, retry and circuit breaker settings shared by all SpotifyClients of the instance. */
+    getClientOptions() {
+        const num = (value, def) => (value === '' || value === undefined || value === null || !Number.isFinite(Number(value)) ? def : Number(value));
+        return {
+            // Empty = Spotify; only set for the mock server of the tests
+            accountsBaseUrl: this.config.accountsBaseUrl,
+            apiBaseUrl: this.config.apiBaseUrl,
+            timeoutMs: Math.max(2, num(this.config.requestTimeoutSec, 10)) * 1000,
+            maxRetries: Math.max(0, Math.min(10, num(this.config.maxRetries, 3))),
+            maxRetryAfterSec: Math.max(1, num(this.config.maxRetryAfterSec, 60)),
+            breaker: {
+                threshold: Math.max(1, num(this.config.circuitBreakerThreshold, 5)),
+                openMs: Math.max(10, num(this.config.circuitBreakerOpenSec, 60)) * 1000,
+            },
+        };
+    }
+
+    /**
+     * Publish the circuit breaker state of a client: info.apiStatus (ok|degraded|unavailable|probing),
+     * info.connection=false while the circuit is open.
+     * @param {{state: string, failures: number, retryAt: number, lastError: string}} status
+     * @param {string} [prefix] object prefix of an additional account
+     */
+    async reportApiStatus(status, prefix = '') {
+        const label = prefix ? `Spotify API (${prefix.slice(0, -1)})` : 'Spotify API';
+        const text = status.state === 'open'
+            ? 'unavailable'
+            : status.state === 'halfOpen' ? 'probing' : status.failures > 0 ? 'degraded' : 'ok';
+
+        const previous = await this.getStateAsync(`${prefix}info.apiStatus`);
+        await this.setStateChangedAsync(`${prefix}info.apiStatus`, text, true);
+        if (previous?.val === text) return;
+
+        if (text === 'unavailable') {
+            this.log.warn(`${label} unavailable after ${status.failures} failed requests (${status.lastError}); pausing until ${new Date(status.retryAt).toLocaleTimeString()}`);
+            await this.setStateAsync(`${prefix}info.connection`, false, true);
+        } else if (text === 'ok' && (previous?.val === 'unavailable' || previous?.val === 'probing')) {
+            this.log.info(`${label} reachable again`);
+            const authError = await this.getStateAsync(`${prefix}info.authError`);
+            if (!authError?.val) await this.setStateAsync(`${prefix}info.connection`, true, true);
+        }
+    }
+
+    /**
+     * Refresh token to start with: a rotated token persisted at runtime wins over the configured one,
+     * as long as it was derived from the currently configured token (a new login resets the chain).
+     */
+    async loadRefreshToken(configuredToken = this.config.refreshToken, prefix = '') {
+        const configured = String(configuredToken || '');
+        try {
+            const state = await this.getStateAsync(`${prefix}info.rotatedRefreshToken`);
+            const token = selectRefreshToken(String(state?.val || ''), configured, (value) => this.decrypt(value));
+            if (token !== configured) this.log.debug('Using rotated refresh token from previous run');
+            return token;
+        } catch (e) {
+            this.log.debug(`Cannot read rotated refresh token: ${e?.message || e}`);
+        }
+        return configured;
+    }
+
+    /** Ensure channels + states exist. */
+    async ensureObjectTree() {
+        await this.setObjectNotExistsAsync('info', { type: 'channel', common: { name: 'Information' }, native: {} });
+        await this.setObjectNotExistsAsync('playback', { type: 'channel', common: { name: 'Playback' }, native: {} });
+        await this.setObjectNotExistsAsync('control', { type: 'channel', common: { name: 'Control' }, native: {} });
+        await this.setObjectNotExistsAsync('devices', { type: 'channel', common: { name: 'Devices' }, native: {} });
+        await this.setObjectNotExistsAsync('playlists', { type: 'channel', common: { name: 'Playlists' }, native: {} });
+        await this.setObjectNotExistsAsync('library', { type: 'channel', common: { name: 'Library' }, native: {} });
+        await this.setObjectNotExistsAsync('search', { type: 'channel', common: { name: 'Search' }, native: {} });
+        await this.setObjectNotExistsAsync('queue', { type: 'channel', common: { name: 'Queue' }, native: {} });
+        await this.setObjectNotExistsAsync('presets', { type: 'channel', common: { name: 'Presets' }, native: {} });
+        await this.setObjectNotExistsAsync('events', { type: 'channel', common: { name: 'Playback events' }, native: {} });
+        await this.setObjectNotExistsAsync('autoPlaylists', { type: 'channel', common: { name: 'Automatic playlists' }, native: {} });
+        await this.setObjectNotExistsAsync('player', { type: 'channel', common: { name: 'Browser player (Web Playback SDK)' }, native: {} });
+        const playerStates = [
+            ['player.deviceId', { name: 'Connect device id of the browser player', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['player.name', { name: 'Device name of the browser player', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['player.connected', { name: 'Browser player connected', type: 'boolean', role: 'indicator.reachable', read: true, write: false, def: false }],
+            ['player.transferHere', { name: 'Transfer playback to the browser player', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+        ];
+        for (const [id, common] of playerStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+        for (const type of [...EVENT_TYPES, 'lastEvent']) {
+            await this.setObjectNotExistsAsync(`events.${type}`, {
+                type: 'state',
+                common: { name: `Event ${type} (JSON: type, ts, old, new)`, type: 'string', role: 'json', read: true, write: false, def: '' },
+                native: {},
+            });
+        }
+
+        await this.setObjectNotExistsAsync('stats', { type: 'channel', common: { name: 'Listening statistics' }, native: {} });
+        const statsStates = [];
+        for (const [period, label] of [['today', 'today'], ['week', 'last 7 days']]) {
+            statsStates.push(
+                [`stats.${period}.minutes`, { name: `Minutes listened (${label})`, type: 'number', role: 'value', read: true, write: false, def: 0, unit: 'min' }],
+                [`stats.${period}.tracks`, { name: `Tracks played (${label})`, type: 'number', role: 'value', read: true, write: false, def: 0 }],
+                [`stats.${period}.skipped`, { name: `Tracks skipped (${label})`, type: 'number', role: 'value', read: true, write: false, def: 0 }],
+                [`stats.${period}.topArtist`, { name: `Top artist (${label})`, type: 'string', role: 'text', read: true, write: false, def: '' }],
+                [`stats.${period}.topTrack`, { name: `Top track (${label})`, type: 'string', role: 'text', read: true, write: false, def: '' }],
+            );
+        }
+        for (const [id, common] of statsStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+        await this.setObjectNotExistsAsync('presets.lastResult', {
+            type: 'state',
+            common: { name: 'Result of the last preset activation (JSON)', type: 'string', role: 'json', read: true, write: false, def: '' },
+            native: {},
+        });
+
+        const playbackStates = [
+            ['playback.available', { name: 'Playback available (active device)', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
+            ['playback.isPlaying', { name: 'Is playing', type: 'boolean', role: 'media.state', read: true, write: false, def: false }],
+            ['playback.track', { name: 'Track', type: 'string', role: 'media.title', read: true, write: false, def: '' }],
+            ['playback.artist', { name: 'Artist', type: 'string', role: 'media.artist', read: true, write: false, def: '' }],
+            ['playback.album', { name: 'Album', type: 'string', role: 'media.album', read: true, write: false, def: '' }],
+            ['playback.uri', { name: 'URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.contextUri', { name: 'Context URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.progressMs', { name: 'Progress (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
+            ['playback.durationMs', { name: 'Duration (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
+            ['playback.progressPercent', { name: 'Progress (%)', type: 'number', role: 'value', read: true, write: false, def: 0, min: 0, max: 100, unit: '%' }],
+            ['playback.progress', { name: 'Progress (m:ss)', type: 'string', role: 'media.elapsed.text', read: true, write: false, def: '0:00' }],
+            ['playback.duration', { name: 'Duration (m:ss)', type: 'string', role: 'media.duration.text', read: true, write: false, def: '0:00' }],
+            ['playback.shuffle', { name: 'Shuffle', type: 'boolean', role: 'switch', read: true, write: false, def: false }],
+            ['playback.repeat', { name: 'Repeat', type: 'string', role: 'text', read: true, write: false, def: 'off' }],
+            ['playback.volume', { name: 'Volume (%)', type: 'number', role: 'level.volume', read: true, write: false, def: 0, unit: '%' }],
+            ['playback.deviceName', { name: 'Device name', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.deviceId', { name: 'Device id', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.deviceType', { name: 'Device type', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.deviceIsActive', { name: 'Device is active', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
+            ['playback.volumeBeforeMute', { name: 'Volume before mute (%)', type: 'number', role: 'level.volume', read: true, write: false, def: 0, unit: '%' }],
+            ['playback.sleepTimerRemaining', { name: 'Sleep timer remaining (s, 0 = off)', type: 'number', role: 'value.interval', read: true, write: false, def: 0, unit: 's' }],
+            ['playback.sleepTimerEndsAt', { name: 'Sleep timer ends at (0 = off)', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+            ['playback.skipped', { name: 'Previous item was skipped (ended early)', type: 'boolean', role: 'indicator', read: true, write: false, def: false }],
+            ['playback.isLiked', { name: 'Current track is in Liked Songs', type: 'boolean', role: 'indicator', read: true, write: false, def: false }],
+            ['playback.type', { name: 'Currently playing type (track|episode|ad|unknown)', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.coverSmall', { name: 'Cover image (small)', type: 'string', role: 'media.cover.small', read: true, write: false, def: '' }],
+            ['playback.coverMedium', { name: 'Cover image (medium)', type: 'string', role: 'media.cover', read: true, write: false, def: '' }],
+            ['playback.coverLarge', { name: 'Cover image (large)', type: 'string', role: 'media.cover.big', read: true, write: false, def: '' }],
+            ['playback.trackNumber', { name: 'Track number', type: 'number', role: 'media.track', read: true, write: false, def: 0 }],
+            ['playback.discNumber', { name: 'Disc number', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+            ['playback.explicit', { name: 'Explicit', type: 'boolean', role: 'indicator', read: true, write: false, def: false }],
+            ['playback.popularity', { name: 'Popularity (0-100)', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+            ['playback.releaseDate', { name: 'Release date', type: 'string', role: 'media.date', read: true, write: false, def: '' }],
+            ['playback.artistUris', { name: 'Artist URIs (comma separated)', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.albumUri', { name: 'Album URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.isrc', { name: 'ISRC', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.showName', { name: 'Podcast show', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.showUri', { name: 'Podcast show URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.showPublisher', { name: 'Podcast publisher', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['playback.episodeDescription', { name: 'Podcast episode description', type: 'string', role: 'text', read: true, write: false, def: '' }],
+        ];
+
+        for (const [id, common] of playbackStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+
+        const infoStates = [
+            ['info.tokenExpiresAt', { name: 'Access token expires at', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+            ['info.lastTokenRefresh', { name: 'Last access token refresh', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+            ['info.authError', { name: 'Authentication error (empty if OK)', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['info.lastCommandResult', { name: 'Result of the last command attempt (JSON)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+            ['info.lastCommandError', { name: 'Last failed command (JSON: command, ts, error)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+            ['info.queueLength', { name: 'Queued and running API jobs', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+            ['info.lastCommandMs', { name: 'Latency of the last user command incl. queue time', type: 'number', role: 'value', read: true, write: false, def: 0, unit: 'ms' }],
+            ['info.apiCallsPerMinute', { name: 'Spotify API calls in the last minute', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+            ['info.apiStatus', { name: 'Spotify API status', type: 'string', role: 'text', read: true, write: false, def: 'ok', states: { ok: 'ok', degraded: 'degraded', unavailable: 'unavailable', probing: 'probing' } }],
+            ['info.rotatedRefreshToken', { name: 'Rotated refresh token (encrypted, internal)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+        ];
+
+        for (const [id, common] of infoStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+
+        await this.setObjectNotExistsAsync('devices.json', {
+            type: 'state',
+            common: { name: 'Available devices (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+            native: {},
+        });
+
+        const libraryStates = [
+            ['library.playlists', { name: 'Playlists (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+            ['library.albums', { name: 'Saved albums (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+            ['library.artists', { name: 'Followed artists (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+            ['library.tracks', { name: `Saved tracks (JSON, max. ${LIBRARY_MAX_TRACKS})`, type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+            ['library.lastUpdate', { name: 'Library last updated', type: 'number', role: 'value.time', read: true, write: false, def: 0 }],
+        ];
+
+        for (const [id, common] of libraryStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+
+        await this.setObjectNotExistsAsync('search.results', {
+            type: 'state',
+            common: { name: 'Search results (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync('search.query', {
+            type: 'state',
+            common: { name: 'Last search query', type: 'string', role: 'text', read: true, write: false, def: '' },
+            native: {},
+        });
+
+        const queueStates = [
+            ['queue.json', { name: 'Upcoming queue (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+            ['queue.nextTrack', { name: 'Next track', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['queue.nextArtist', { name: 'Next artist', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['queue.length', { name: 'Queue length', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+        ];
+
+        for (const [id, common] of queueStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+
+        const controlStates = [
+            ['control.play', { name: 'Play', type: 'boolean', role: 'button.play', read: true, write: true, def: false }],
+            ['control.pause', { name: 'Pause', type: 'boolean', role: 'button.pause', read: true, write: true, def: false }],
+            ['control.toggle', { name: 'Toggle play/pause', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.next', { name: 'Next', type: 'boolean', role: 'button.next', read: true, write: true, def: false }],
+            ['control.previous', { name: 'Previous', type: 'boolean', role: 'button.prev', read: true, write: true, def: false }],
+            ['control.volume', { name: 'Set volume (%)', type: 'number', role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, unit: '%' }],
+            ['control.volumeUp', { name: 'Volume up (configured step)', type: 'boolean', role: 'button.volume.up', read: true, write: true, def: false }],
+            ['control.volumeDown', { name: 'Volume down (configured step)', type: 'boolean', role: 'button.volume.down', read: true, write: true, def: false }],
+            ['control.volumeStep', { name: 'Change volume by (signed %)', type: 'number', role: 'level', read: true, write: true, def: 0, min: -100, max: 100, unit: '%' }],
+            ['control.mute', { name: 'Mute (remembers volume)', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.unmute', { name: 'Unmute (restore volume)', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.shuffle', { name: 'Set shuffle', type: 'boolean', role: 'switch', read: true, write: true, def: false }],
+            ['control.repeat', { name: 'Set repeat (off|context|track)', type: 'string', role: 'text', read: true, write: true, def: 'off' }],
+            ['control.seek', { name: 'Seek to position (ms)', type: 'number', role: 'value.time', read: true, write: true, def: 0, unit: 'ms' }],
+            ['control.playUri', { name: 'Play URI, share link, URI list or JSON payload', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.addToQueue', { name: 'Add to queue (URIs comma/newline separated, album/playlist URIs are expanded)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.transferToDevice', { name: 'Transfer playback to deviceId', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.refreshDevices', { name: 'Refresh devices list', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.search', { name: 'Search (query)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.searchType', { name: 'Search type (track|album|artist|playlist|show|episode)', type: 'string', role: 'text', read: true, write: true, def: 'track', states: { track: 'track', album: 'album', artist: 'artist', playlist: 'playlist', show: 'show', episode: 'episode' } }],
+            ['control.playSearch', { name: 'Search and play best match (query)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.fadeTo', { name: 'Fade volume: "volume[,seconds]" or {"volume":20,"duration":30}', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.sleepTimer', { name: 'Sleep timer (minutes, 0 = cancel)', type: 'number', role: 'level.timer', read: true, write: true, def: 0, min: 0, unit: 'min' }],
+            ['control.preset', { name: 'Activate preset (name)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.refreshLibrary', { name: 'Refresh playlists and library', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.saveCurrentToPlaylist', { name: 'Add current track to playlist (id, URI or name)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.removeCurrentFromPlaylist', { name: 'Remove current track from playlist (id, URI or name; empty = current playlist)', type: 'string', role: 'text', read: true, write: true, def: '' }],
+            ['control.likeCurrent', { name: 'Save current track to Liked Songs', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['control.unlikeCurrent', { name: 'Remove current track from Liked Songs', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+        ];
+
+        for (const [id, common] of controlStates) {
+            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        }
+    }
+
+    /**
+     * Queue a Web API job (see lib/commandQueue). Resolves when fn has run (errors are logged, not thrown).
+     * @param {() => Promise<any>} fn
+     * @param {{priority?: 'command'|'poll'|'background', key?: string, label?: string, timeoutMs?: number}} [opts]
+     */
+    queueCommand(fn, opts) {
+        return this.commands.push(fn, opts).catch((e) => this.logCommandError(e));
+    }
+
+    logCommandError(e) {
+        // Pending jobs are cancelled on unload
+        if (e?.code === 'ECMDCANCELLED') return;
+        if (this.config.logApiErrors) {
+            this.log.error(`Command failed: ${e?.stack || e}`);
+        } else {
+            this.log.warn(`Command failed: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Account-specific part of the control handlers (handleControl, runWithDeviceWakeup and helpers):
+     * the main account or an additional account (lib/account). Built per command, so the current client is used.
+     * @typedef {object} ControlContext
+     * @property {any} spotify SpotifyClient of the account
+     * @property {string} prefix state id prefix ('' or '<account>.')
+     * @property {ProgressTracker} progress
+     * @property {VolumeFader} fader
+     * @property {string} defaultDeviceId first target of commands ('' = active device)
+     * @property {string} devicePriority fallback devices of the device wakeup (names or ids, one per line)
+     * @property {(deviceId?: string) => void} setFadeDevice target device of the fader's steps
+     * @property {() => Promise<void>} publishProgress
+     * @property {() => Promise<any>} refreshDevices
+     * @property {() => Promise<void>} [refreshQueue] queue.* states (main account only)
+     */
+
+    /** @returns {ControlContext} */
+    controlContext() {
+        return {
+            spotify: this.spotify,
+            prefix: '',
+            progress: this.progress,
+            fader: this.fader,
+            defaultDeviceId: String(this.config.defaultDeviceId || '').trim(),
+            devicePriority: String(this.config.devicePriority || ''),
+            setFadeDevice: (deviceId) => {
+                this.fadeDeviceId = deviceId;
+            },
+            publishProgress: () => this.publishProgress(),
+            refreshDevices: () => this.refreshDevices(),
+            refreshQueue: () => this.refreshQueue(),
+        };
+    }
+
+    /**
+     * Queue a user command written to a state and report its outcome: the state is acked on success
+     * (handlers that normalize the value ack it themselves), failures go to info.lastCommandError.
+     * A pending write of the same state (COALESCED_COMMANDS) is superseded. Rejects with the error.
+     * @param {string} id state id relative to the namespace
+     * @param {any} val written value
+     * @param {() => Promise<any>} fn
+     * @param {{prefix?: string, timeoutMs?: number}} [opts] prefix: info.* of an additional account
+     */
+    async runControl(id, val, fn, opts = {}) {
+        const key = COALESCED_COMMANDS.has(id.split('.').pop()) ? id : '';
+        await this.settleControl(id, val, this.commands.push(fn, { key, label: id, timeoutMs: opts.timeoutMs }), opts);
+    }
+
+    /**
+     * Report the outcome of a control job that is already queued (see runControl).
+     * @param {string} id state id relative to the namespace
+     * @param {any} val written value
+     * @param {Promise<any>} job
+     * @param {{prefix?: string}} [opts]
+     */
+    async settleControl(id, val, job, opts = {}) {
+        try {
+            await job;
+        } catch (e) {
+            await this.setStateAsync(`${opts.prefix || ''}info.lastCommandError`, JSON.stringify({ command: id, ts: Date.now(), error: e?.message || String(e) }), true);
+            throw e;
+        }
+        // Not acked yet and not overwritten by a newer write in the meantime
+        const state = await this.getStateAsync(id);
+        if (state && !state.ack && state.val === val) await this.setStateAsync(id, val, true);
+    }
+
+    /**
+     * Merge saved config with runtime values passed from Admin via jsonData.
+     * This is important because users may click "MIT SPOTIFY VERBINDEN" before pressing "Speichern".
+     */
+    getEffectiveConfigFromMessage(message) {
+        const m = (message && typeof message === 'object') ? message : {};
+
+        const out = {
+            clientId: (typeof m.clientId === 'string' ? m.clientId : this.config.clientId) || '',
+            clientSecret: (typeof m.clientSecret === 'string' ? m.clientSecret : this.config.clientSecret) || '',
+            redirectUri: (typeof m.redirectUri === 'string' ? m.redirectUri : this.config.redirectUri) || '',
+            callbackBindIp: (typeof m.callbackBindIp === 'string' ? m.callbackBindIp : this.config.callbackBindIp) || '0.0.0.0',
+            generateSelfSignedCert: (typeof m.generateSelfSignedCert === 'boolean' ? m.generateSelfSignedCert : !!this.config.generateSelfSignedCert),
+            // Additional account (multi-account); empty = main account
+            account: typeof m.account === 'string' ? m.account : '',
+        };
+
+        return {
+            ...out,
+            clientId: String(out.clientId).trim(),
+            clientSecret: String(out.clientSecret).trim(),
+            redirectUri: String(out.redirectUri).trim(),
+            callbackBindIp: String(out.callbackBindIp).trim() || '0.0.0.0',
+        };
+    }
+
+    async pollPlayback() {
+        if (!this.spotify) return;
+
+        const playback = await this.spotify.getPlaybackState();
+        if (!playback) {
+            await this.setStateAsync('playback.available', false, true);
+            await this.setStateAsync('playback.isPlaying', false, true);
+            this.playbackAvailable = false;
+            this.progress.sync({ isPlaying: false });
+            await this.recordHistory(null);
+            await this.handleSnapshot(null);
+            return;
+        }
+
+        this.playbackAvailable = !!playback.device?.is_active;
+        await this.setStateAsync('playback.available', true, true);
+        await this.setStateAsync('playback.isPlaying', !!playback.is_playing, true);
+
+        const item = playback.item || null;
+        const isEpisode = item?.type === 'episode';
+        const show = isEpisode ? (item.show || null) : null;
+
+        const track = item?.name || '';
+        const artistList = Array.isArray(item?.artists) ? item.artists : [];
+        // Episodes have no artists/album: show publisher/name take their place
+        const artists = isEpisode
+            ? String(show?.publisher || show?.name || '')
+            : artistList.map((a) => a?.name).filter(Boolean).join(', ');
+        const album = isEpisode ? String(show?.name || '') : (item?.album?.name || '');
+        const uri = item?.uri || '';
+        const contextUri = playback?.context?.uri || '';
+        const itemChanged = uri !== this.lastItemUri;
+        this.lastItemUri = uri;
+        const images = pickImages(isEpisode ? (item.images?.length ? item.images : show?.images) : item?.album?.images);
+
+        await this.setStateAsync('playback.track', track, true);
+        await this.setStateAsync('playback.artist', artists, true);
+        await this.setStateAsync('playback.album', album, true);
+        await this.setStateAsync('playback.uri', uri, true);
+        await this.setStateAsync('playback.contextUri', contextUri, true);
+
+        this.progress.sync({
+            progressMs: playback.progress_ms,
+            durationMs: item?.duration_ms,
+            isPlaying: !!playback.is_playing,
+        });
+        await this.setStateAsync('playback.durationMs', Number(item?.duration_ms) || 0, true);
+        await this.publishProgress();
+
+        await this.setStateAsync('playback.type', String(playback.currently_playing_type || item?.type || ''), true);
+        await this.setStateAsync('playback.coverSmall', images.small, true);
+        await this.setStateAsync('playback.coverMedium', images.medium, true);
+        await this.setStateAsync('playback.coverLarge', images.large, true);
+        await this.setStateAsync('playback.trackNumber', Number(item?.track_number) || 0, true);
+        await this.setStateAsync('playback.discNumber', Number(item?.disc_number) || 0, true);
+        await this.setStateAsync('playback.explicit', !!item?.explicit, true);
+        await this.setStateAsync('playback.popularity', Number(item?.popularity) || 0, true);
+        await this.setStateAsync('playback.releaseDate', String((isEpisode ? item?.release_date : item?.album?.release_date) || ''), true);
+        await this.setStateAsync('playback.artistUris', artistList.map((a) => a?.uri).filter(Boolean).join(','), true);
+        await this.setStateAsync('playback.albumUri', String(item?.album?.uri || ''), true);
+        await this.setStateAsync('playback.isrc', String(item?.external_ids?.isrc || ''), true);
+        await this.setStateAsync('playback.showName', String(show?.name || ''), true);
+        await this.setStateAsync('playback.showUri', String(show?.uri || ''), true);
+        await this.setStateAsync('playback.showPublisher', String(show?.publisher || ''), true);
+        await this.setStateAsync('playback.episodeDescription', String((isEpisode && item?.description) || ''), true);
+        if (itemChanged || ++this.pollsSinceLikedCheck >= LIKED_RECHECK_POLLS) await this.updateIsLiked(item, { recheck: !itemChanged });
+
+        await this.setStateAsync('playback.shuffle', !!playback.shuffle_state, true);
+        await this.setStateAsync('playback.repeat', String(playback.repeat_state || 'off'), true);
+
+        const device = playback.device || null;
+        await this.setStateAsync('playback.volume', Number(device?.volume_percent) || 0, true);
+        await this.setStateAsync('playback.deviceName', String(device?.name || ''), true);
+        await this.setStateAsync('playback.deviceId', String(device?.id || ''), true);
+        await this.setStateAsync('playback.deviceType', String(device?.type || ''), true);
+        await this.setStateAsync('playback.deviceIsActive', !!device?.is_active, true);
+
+        await this.recordHistory(uri ? {
+            uri,
+            title: track,
+            artist: artists,
+            device: String(device?.name || ''),
+            durationMs: Number(item?.duration_ms) || 0,
+            progressMs: Number(playback.progress_ms) || 0,
+            isPlaying: !!playback.is_playing,
+        } : null);
+
+        await this.handleSnapshot({
+            at: Date.now(),
+            isPlaying: !!playback.is_playing,
+            uri,
+            title: track,
+            artist: artists,
+            contextUri,
+            deviceId: String(device?.id || ''),
+            deviceName: String(device?.name || ''),
+            progressMs: Number(playback.progress_ms) || 0,
+            durationMs: Number(item?.duration_ms) || 0,
+        });
+
+        if (itemChanged || this.queueStale) {
+            // A failed queue refresh must not fail the poll; it is retried with the next one
+            try {
+                await this.refreshQueue();
+                this.queueStale = false;
+            } catch (e) {
+                this.queueStale = true;
+                this.log.debug(`Cannot refresh the queue: ${e?.message || e}`);
+            }
+        }
+    }
+
+    /** Compare with the previous poll and publish events.* */
+    async handleSnapshot(snapshot) {
+        const prev = this.lastSnapshot;
+        this.lastSnapshot = snapshot;
+        if (this.localApi?.hasClients) {
+            this.localApi.pushState(await this.getApiState());
+        }
+        if (prev === undefined) {
+            this.bridge?.publishNowPlaying(snapshot);
+            return;
+        }
+
+        for (const event of diffPlayback(prev, snapshot)) {
+            await this.publishEvent(event);
+        }
+    }
+
+    /**
+     * Device reported by the /player page (ready / not_ready of the Web Playback SDK).
+     * @param {{deviceId: string, name: string, connected: boolean}} info
+     */
+    async setPlayerDevice(info) {
+        if (info.connected) {
+            this.log.info(`Browser player "${info.name}" registered as Connect device ${info.deviceId}`);
+            await this.setStateAsync('player.deviceId', info.deviceId, true);
+            await this.setStateAsync('player.name', info.name, true);
+            // Make the new device show up in devices.*
+            if (this.spotify) this.queueCommand(() => this.refreshDevices(), { priority: 'background', key: 'refreshDevices' });
+        } else {
+            this.log.info(`Browser player "${info.name}" disconnected`);
+        }
+        await this.setStateAsync('player.connected', !!info.connected, true);
+    }
+
+    /** playback.* states as { <name>: value } for the local API. */
+    async getApiState() {
+        const states = await this.getStatesAsync('playback.*');
+        const data = {};
+        for (const [id, state] of Object.entries(states || {})) {
+            data[id.split('.').pop()] = state ? state.val : null;
+        }
+        return data;
+    }
+
+    /**
+     * Run a control.* command for the local API: same path as a state write, but the caller
+     * gets the error instead of a log line.
+     */
+    async runApiCommand(stateId, val) {
+        if (!this.spotify) throw new Error('Spotify not authenticated');
+        try {
+            await this.runControl(stateId, val, () => this.executeControl(stateId, stateId, val));
+        } finally {
+            this.pollScheduler?.pollSoon();
+        }
+    }
+
+    async publishEvent(event) {
+        const json = JSON.stringify(event);
+        if (event.type === 'trackChanged') {
+            await this.setStateAsync('playback.skipped', !!event.skipped, true);
+        }
+        await this.setStateAsync(`events.${event.type}`, json, true);
+        await this.setStateAsync('events.lastEvent', json, true);
+        this.bridge?.publish(event, this.lastSnapshot);
+        this.localApi?.pushEvent(event);
+    }
+
+    /** Feed the history recorder; stores the finished play when the item changed. */
+    async recordHistory(snapshot) {
+        const entry = this.historyRecorder.observe(snapshot);
+        if (!entry || !this.history) return;
+        try {
+            await this.history.append(entry);
+            await this.updateHistoryStats();
+        } catch (e) {
+            this.log.warn(`Cannot write listening history: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Fill the gap since the last recorded play (e.g. adapter was stopped) from Spotify's
+     * recently-played list. That list only covers the last 50 tracks and no episodes.
+     */
+    async backfillHistory() {
+        if (!this.history || !this.spotify) return;
+
+        const last = await this.history.lastEntry();
+        // played_at is the end of a play; ignore plays that overlap what we recorded ourselves
+        const after = last ? last.ts + (Number(last.listenedMs) || 0) + 30_000 : 0;
+        const items = await this.spotify.getRecentlyPlayed({ after: after || undefined });
+
+        const entries = items
+            .filter((i) => i?.track?.uri && Date.parse(i.played_at) > after)
+            .map((i) => {
+                const durationMs = Number(i.track.duration_ms) || 0;
+                return {
+                    ts: Date.parse(i.played_at) - durationMs,
+                    uri: i.track.uri,
+                    title: String(i.track.name || ''),
+                    artist: (i.track.artists || []).map((a) => a?.name).filter(Boolean).join(', '),
+                    device: '',
+                    durationMs,
+                    listenedMs: durationMs,
+                    skipped: false,
+                    source: 'recently-played',
+                };
+            })
+            .sort((a, b) => a.ts - b.ts);
+
+        for (const entry of entries) {
+            await this.history.append(entry);
+        }
+        if (entries.length) {
+            this.log.info(`Listening history: backfilled ${entries.length} plays from Spotify`);
+            await this.updateHistoryStats();
+        }
+    }
+
+    async updateHistoryStats() {
+        if (!this.history) return;
+        const now = Date.now();
+        const today = startOfDay(now);
+        const entries = await this.history.read({ from: today - 6 * 86_400_000, to: now });
+
+        const periods = {
+            today: computeStats(entries.filter((e) => e.ts >= today)),
+            week: computeStats(entries),
+        };
+        for (const [period, stats] of Object.entries(periods)) {
+            for (const [key, val] of Object.entries(stats)) {
+                await this.setStateChangedAsync(`stats.${period}.${key}`, val, true);
+            }
+        }
+    }
+
+    /** Write the (extrapolated) progress states. */
+    async publishProgress() {
+        const p = this.progress.snapshot();
+        await this.setStateChangedAsync('playback.progressMs', p.progressMs, true);
+        await this.setStateChangedAsync('playback.progressPercent', p.progressPercent, true);
+        await this.setStateChangedAsync('playback.progress', p.progress, true);
+        await this.setStateChangedAsync('playback.duration', p.duration, true);
+    }
+
+    async refreshDevices() {
+        if (!this.spotify) return;
+        const devices = await this.spotify.getDevices();
+        await this.setStateAsync('devices.json', JSON.stringify(devices, null, 2), true);
+
+        const seen = new Set();
+        for (const device of devices) {
+            const key = deviceKey(device?.name);
+            // Two devices with the same name: first one wins, keep the tree stable
+            if (seen.has(key)) continue;
+            seen.add(key);
+            await this.updateDeviceObjects(key, device);
+        }
+
+        // Devices that disappeared are flagged, not deleted (scripts may still reference them)
+        const channels = await this.getChannelsOfAsync('devices');
+        for (const channel of channels || []) {
+            const key = channel._id.split('.').pop();
+            if (!seen.has(key)) {
+                await this.setStateAsync(`devices.${key}.available`, false, true);
+                await this.setStateAsync(`devices.${key}.isActive`, false, true);
+            }
+        }
+    }
+
+    async updateDeviceObjects(key, device) {
+        const base = `devices.${key}`;
+        await this.extendObjectAsync(base, {
+            type: 'channel',
+            common: { name: String(device?.name || key) },
+            native: {},
+        });
+
+        const states = [
+            ['id', { name: 'Device id', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['type', { name: 'Device type', type: 'string', role: 'text', read: true, write: false, def: '' }],
+            ['available', { name: 'Device currently listed by Spotify', type: 'boolean', role: 'indicator.reachable', read: true, write: false, def: false }],
+            ['isActive', { name: 'Is active device', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
+            ['isRestricted', { name: 'Is restricted (no Web API control)', type: 'boolean', role: 'indicator', read: true, write: false, def: false }],
+            ['volume', { name: 'Volume (%)', type: 'number', role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, unit: '%' }],
+            ['transferHere', { name: 'Transfer playback here (keep play state)', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ['playHere', { name: 'Transfer playback here and play', type: 'boolean', role: 'button.play', read: true, write: true, def: false }],
+        ];
+
+        for (const [id, common] of states) {
+            await this.setObjectNotExistsAsync(`${base}.${id}`, { type: 'state', common, native: {} });
+        }
+
+        await this.setStateAsync(`${base}.id`, String(device?.id || ''), true);
+        await this.setStateAsync(`${base}.type`, String(device?.type || ''), true);
+        await this.setStateAsync(`${base}.available`, true, true);
+        await this.setStateAsync(`${base}.isActive`, !!device?.is_active, true);
+        await this.setStateAsync(`${base}.isRestricted`, !!device?.is_restricted, true);
+        await this.setStateAsync(`${base}.volume`, Number(device?.volume_percent) || 0, true);
+    }
+
+    async handleDeviceCommand(key, command, val) {
+        const base = `devices.${key}`;
+        const idState = await this.getStateAsync(`${base}.id`);
+        const targetId = String(idState?.val || '');
+        if (!targetId) throw new Error(`Device ${key} has no id, refresh the devices list first`);
+
+        switch (command) {
+            case 'volume': {
+                const v = Math.max(0, Math.min(100, Number(val)));
+                if (Number.isFinite(v)) {
+                    await this.spotify.setVolume(v, { deviceId: targetId });
+                    await this.setStateAsync(`${base}.volume`, v, true);
+                }
+                break;
+            }
+            case 'transferHere':
+                await this.spotify.transferPlayback(targetId, { play: false });
+                await this.setStateAsync(`${base}.transferHere`, false, true);
+                await this.refreshDevices();
+                break;
+            case 'playHere':
+                await this.spotify.transferPlayback(targetId, { play: true });
+                await this.setStateAsync(`${base}.playHere`, false, true);
+                await this.refreshDevices();
+                break;
+            default:
+                this.log.debug(`Unhandled device state: ${base}.${command}`);
+                break;
+        }
+    }
+
+    async refreshQueue() {
+        if (!this.spotify) return;
+        const data = await this.spotify.getQueue();
+        const queue = (Array.isArray(data?.queue) ? data.queue : []).filter(Boolean).map((item) => ({
+            ...toListEntry(item),
+            durationMs: Number(item.duration_ms) || 0,
+        }));
+
+        await this.setStateAsync('queue.json', JSON.stringify(queue), true);
+        await this.setStateAsync('queue.nextTrack', queue[0]?.name || '', true);
+        await this.setStateAsync('queue.nextArtist', queue[0]?.artist || '', true);
+        await this.setStateAsync('queue.length', queue.length, true);
+    }
+
+    /**
+     * Turn user input into queueable item URIs.
+     * Accepts several URIs separated by comma/newline; album and playlist URIs are expanded into their tracks.
+     */
+    async expandQueueUris(text, ctx = this.controlContext()) {
+        const out = [];
+        const parts = String(text || '').split(/[\n,]+/).map((p) => p.trim()).filter(Boolean);
+
+        for (const part of parts.map(normalizeUri)) {
+            const [, kind, id] = /^spotify:([a-z]+):([A-Za-z0-9]+)$/.exec(part) || [];
+            if (kind === 'track' || kind === 'episode') {
+                out.push(part);
+            } else if (kind === 'album') {
+                const tracks = await ctx.spotify.getAlbumTracks(id, { maxItems: QUEUE_EXPAND_MAX });
+                out.push(...tracks.map((t) => t?.uri).filter(Boolean));
+            } else if (kind === 'playlist') {
+                const entries = await ctx.spotify.getPlaylistTracks(id, { maxItems: QUEUE_EXPAND_MAX });
+                // Local files cannot be queued through the Web API
+                out.push(...entries.map((e) => e?.track).filter((t) => t?.uri && !t.is_local).map((t) => t.uri));
+            } else {
+                this.log.warn(`Cannot add "${part}" to queue (expected track, episode, album or playlist URI)`);
+            }
+        }
+
+        if (out.length > QUEUE_EXPAND_MAX) {
+            this.log.warn(`Adding only the first ${QUEUE_EXPAND_MAX} of ${out.length} items to the queue`);
+        }
+        return out.slice(0, QUEUE_EXPAND_MAX);
+    }
+
+    /**
+     * Fade the volume (not awaited by callers: every step is queued on its own).
+     * @returns {Promise<boolean>} true if the target was reached, false if cancelled or a step failed
+     */
+    startFade(from, to, durationMs, deviceId, ctx = this.controlContext()) {
+        ctx.setFadeDevice(deviceId);
+        return ctx.fader.fade(from, to, durationMs).catch((e) => {
+            if (e?.code !== 'ECMDCANCELLED') this.log.warn(`Volume fade failed: ${e?.message || e}`);
+            return false;
+        });
+    }
+
+    /**
+     * volumeUp/volumeDown/volumeStep/mute/unmute (RELATIVE_VOLUME_COMMANDS). Computed from the last
+     * polled volume (no GET); presses within VOLUME_MERGE_MS are merged into a single queued setVolume call.
+     * The state is acked (buttons reset) once that call succeeded and stays unacked if it fails.
+     * @returns {Promise<void>} settles with the outcome of that call
+     */
+    async handleRelativeVolume(rel, val) {
+        const step = Math.max(1, Number(this.config.volumeStep) || 5);
+        let delta = 0;
+        let muteAction = '';
+
+        switch (rel) {
+            case 'control.volumeUp':
+                delta = step;
+                break;
+            case 'control.volumeDown':
+                delta = -step;
+                break;
+            case 'control.volumeStep':
+                delta = Number(val) || 0;
+                break;
+            case 'control.mute':
+            case 'control.unmute':
+                muteAction = rel.substring('control.'.length);
+                break;
+        }
+
+        const ack = () => this.setStateAsync(rel, rel === 'control.volumeStep' ? delta : false, true);
+
+        const current = this.pendingVolume ? this.pendingVolume.target : await this.getPolledVolume();
+        let target = current + delta;
+
+        if (muteAction === 'mute') {
+            if (current === 0) return ack();
+            await this.setStateAsync('playback.volumeBeforeMute', current, true);
+            target = 0;
+        } else if (muteAction === 'unmute') {
+            const before = Number((await this.getStateAsync('playback.volumeBeforeMute'))?.val) || 0;
+            target = before > 0 ? before : step;
+        }
+
+        target = Math.max(0, Math.min(100, Math.round(target)));
+        if (!this.pendingVolume && target === current) return ack();
+
+        this.fader.cancel();
+        const pending = this.pendingVolume || { target, timer: null, callers: [] };
+        this.pendingVolume = pending;
+        pending.target = target;
+        if (pending.timer) this.clearTimeout(pending.timer);
+
+        await new Promise((resolve, reject) => {
+            pending.callers.push({ resolve, reject });
+            pending.timer = this.setTimeout(() => {
+                this.pendingVolume = null;
+                const volume = pending.target;
+                this.commands.push(() => this.runWithDeviceWakeup('control.volume', async (deviceId) => {
+                    await this.spotify.setVolume(volume, { deviceId });
+                    // Next relative press starts from here even before the next poll
+                    await this.setStateAsync('playback.volume', volume, true);
+                }), { key: 'control.volume', label: 'control.volume' }).then(
+                    () => pending.callers.forEach((c) => c.resolve()),
+                    (e) => pending.callers.forEach((c) => c.reject(e)),
+                );
+                this.pollScheduler?.pollSoon(1_500);
+            }, VOLUME_MERGE_MS);
+        });
+        await ack();
+    }
+
+    async getPolledVolume(ctx = this.controlContext()) {
+        const st = await this.getStateAsync(`${ctx.prefix}playback.volume`);
+        return Number(st?.val) || 0;
+    }
+
+    /** Start (minutes > 0) or cancel (0) the sleep timer. The end time is kept in a state to survive restarts. */
+    async setSleepTimer(minutes) {
+        this.cancelSleepTimer();
+        const min = Number(minutes);
+        if (!Number.isFinite(min) || min <= 0) {
+            await this.setStateAsync('playback.sleepTimerEndsAt', 0, true);
+            await this.setStateAsync('playback.sleepTimerRemaining', 0, true);
+            return;
+        }
+
+        const endsAt = Date.now() + min * 60_000;
+        await this.setStateAsync('playback.sleepTimerEndsAt', endsAt, true);
+        this.armSleepTimer(endsAt);
+        this.log.info(`Sleep timer set: pausing in ${min} min`);
+    }
+
+    armSleepTimer(endsAt) {
+        const fadeMs = Math.max(0, Number(this.config.sleepTimerFadeSeconds) || 0) * 1000;
+        const publish = () => {
+            const remaining = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+            this.setStateChangedAsync('playback.sleepTimerRemaining', remaining, true).catch(() => {});
+        };
+
+        this.sleepTimer = {
+            endsAt,
+            ticker: this.setInterval(publish, 5_000),
+            fadeTimer: this.setTimeout(() => {
+                this.sleepTimer.fadeTimer = null;
+                this.finishSleepTimer(fadeMs).catch((e) => this.log.warn(`Sleep timer failed: ${e?.message || e}`));
+            }, Math.max(0, endsAt - fadeMs - Date.now())),
+        };
+        publish();
+    }
+
+    cancelSleepTimer() {
+        if (!this.sleepTimer) return;
+        if (this.sleepTimer.ticker) this.clearInterval(this.sleepTimer.ticker);
+        if (this.sleepTimer.fadeTimer) {
+            this.clearTimeout(this.sleepTimer.fadeTimer);
+        } else {
+            // Fade-out already running
+            this.fader.cancel();
+        }
+        this.sleepTimer = null;
+    }
+
+    /** Fade out, pause, then restore the volume so the next play is not silent. */
+    async finishSleepTimer(fadeMs) {
+        const volume = await this.getPolledVolume();
+        const deviceId = this.config.defaultDeviceId ? String(this.config.defaultDeviceId) : undefined;
+
+        const reached = fadeMs > 0 && volume > 0 ? await this.startFade(volume, 0, fadeMs, deviceId) : true;
+        if (!this.sleepTimer) return; // cancelled during the fade
+
+        if (reached) {
+            await this.queueCommand(async () => {
+                await this.spotify?.pause({ deviceId });
+                this.progress.sync({ isPlaying: false });
+                if (volume > 0) await this.spotify?.setVolume(volume, { deviceId });
+            });
+            this.log.info('Sleep timer finished: playback paused');
+        } else {
+            this.log.info('Sleep timer aborted: volume was changed during the fade-out');
+        }
+        await this.setSleepTimer(0);
+    }
+
+    /** Re-arm a sleep timer that was running before the adapter restarted. */
+    async restoreSleepTimer() {
+        const st = await this.getStateAsync('playback.sleepTimerEndsAt');
+        const endsAt = Number(st?.val) || 0;
+        if (!endsAt) return;
+
+        if (endsAt > Date.now()) {
+            this.log.info(`Restoring sleep timer (${Math.round((endsAt - Date.now()) / 60_000)} min left)`);
+            this.armSleepTimer(endsAt);
+        } else if (Date.now() - endsAt < 5 * 60_000) {
+            // Expired shortly before/while restarting: still honor it
+            this.queueCommand(() => this.spotify?.pause());
+            await this.setSleepTimer(0);
+        } else {
+            await this.setSleepTimer(0);
+        }
+    }
+
+    /** Presets from the config table, keyed by object id segment. */
+    getPresets() {
+        const out = new Map();
+        for (const row of Array.isArray(this.config.presets) ? this.config.presets : []) {
+            if (!row?.name || !String(row.name).trim()) continue;
+            const key = sanitizeId(row.name);
+            if (!out.has(key)) out.set(key, row);
+        }
+        return out;
+    }
+
+    /** presets.<name>.activate per configured preset; presets removed from the config are deleted. */
+    async syncPresetObjects() {
+        const presets = this.getPresets();
+        for (const [key, row] of presets) {
+            await this.extendObjectAsync(`presets.${key}`, { type: 'channel', common: { name: String(row.name) }, native: {} });
+            await this.setObjectNotExistsAsync(`presets.${key}.activate`, {
+                type: 'state',
+                common: { name: `Activate preset ${row.name}`, type: 'boolean', role: 'button', read: true, write: true, def: false },
+                native: {},
+            });
+        }
+
+        const channels = await this.getChannelsOfAsync('presets');
+        for (const channel of channels || []) {
+            const key = channel._id.split('.').pop();
+            if (!presets.has(key)) {
+                await this.delObjectAsync(`presets.${key}`, { recursive: true });
+            }
+        }
+    }
+
+    /**
+     * Activate a preset: transfer → volume → shuffle/repeat → play, as one sequence.
+     * If a step fails, the steps done so far are rolled back (best effort) and the result is
+     * reported in presets.lastResult. Must run inside queueCommand.
+     * The error keeps status and reason of the failed call, so runWithDeviceWakeup can retry on NO_ACTIVE_DEVICE.
+     * @param {string} name preset name or key
+     * @param {{deviceId?: string}} [opts] deviceId: target if the preset has no device (default: defaultDeviceId)
+     */
+    async activatePreset(name, { deviceId } = {}) {
+        const wanted = String(name || '').trim();
+        const presets = this.getPresets();
+        const preset = presets.get(sanitizeId(wanted))
+            || [...presets.values()].find((p) => String(p.name).trim().toLowerCase() === wanted.toLowerCase());
+        if (!preset) throw new Error(`Unknown preset "${wanted}"`);
+
+        // Snapshot for rollback (last polled values)
+        const prev = {};
+        for (const key of ['deviceId', 'volume', 'shuffle', 'repeat', 'isPlaying']) {
+            prev[key] = (await this.getStateAsync(`playback.${key}`))?.val;
+        }
+
+        let target = deviceId || (this.config.defaultDeviceId ? String(this.config.defaultDeviceId) : undefined);
+        const steps = [];
+
+        if (preset.device) {
+            steps.push({
+                name: 'transfer',
+                run: async () => {
+                    target = await this.resolveDeviceId(preset.device);
+                    if (!target) throw new Error(`Device "${preset.device}" not found`);
+                    await this.spotify.transferPlayback(target, { play: false });
+                    await this.waitForActiveDevice(target);
+                },
+                undo: prev.deviceId ? () => this.spotify.transferPlayback(String(prev.deviceId), { play: !!prev.isPlaying }) : null,
+            });
+        }
+        if (preset.volume !== undefined && preset.volume !== null && preset.volume !== '' && Number.isFinite(Number(preset.volume))) {
+            steps.push({
+                name: 'volume',
+                run: () => this.spotify.setVolume(Number(preset.volume), { deviceId: target }),
+                undo: Number.isFinite(Number(prev.volume)) ? () => this.spotify.setVolume(Number(prev.volume), { deviceId: target }) : null,
+            });
+        }
+        if (preset.shuffle === 'on' || preset.shuffle === 'off') {
+            steps.push({
+                name: 'shuffle',
+                run: () => this.spotify.setShuffle(preset.shuffle === 'on', { deviceId: target }),
+                undo: () => this.spotify.setShuffle(!!prev.shuffle, { deviceId: target }),
+            });
+        }
+        if (['off', 'track', 'context'].includes(preset.repeat)) {
+            steps.push({
+                name: 'repeat',
+                run: () => this.spotify.setRepeat(preset.repeat, { deviceId: target }),
+                undo: () => this.spotify.setRepeat(String(prev.repeat || 'off'), { deviceId: target }),
+            });
+        }
+        if (preset.uri) {
+            steps.push({
+                name: 'play',
+                run: () => this.playFromInput(preset.uri, { deviceId: target }),
+                undo: null,
+            });
+        }
+
+        const done = [];
+        for (const step of steps) {
+            try {
+                await step.run();
+                done.push(step);
+            } catch (e) {
+                const rolledBack = [];
+                for (const undoStep of done.reverse()) {
+                    if (!undoStep.undo) continue;
+                    try {
+                        await undoStep.undo();
+                        rolledBack.push(undoStep.name);
+                    } catch (undoError) {
+                        this.log.warn(`Preset "${preset.name}": rollback of ${undoStep.name} failed: ${undoError?.message || undoError}`);
+                    }
+                }
+                await this.setStateAsync('presets.lastResult', JSON.stringify({
+                    preset: preset.name, ok: false, failedStep: step.name, error: e?.message || String(e), rolledBack, ts: Date.now(),
+                }), true);
+                const err = new Error(`Preset "${preset.name}" failed at step ${step.name}: ${e?.message || e}`, { cause: e });
+                err.status = e?.status;
+                err.reason = e?.reason;
+                throw err;
+            }
+        }
+
+        await this.setStateAsync('presets.lastResult', JSON.stringify({
+            preset: preset.name, ok: true, steps: done.map((s) => s.name), ts: Date.now(),
+        }), true);
+        this.log.info(`Preset "${preset.name}" activated`);
+    }
+
+    getAutoPlaylists() {
+        const out = new Map();
+        for (const row of Array.isArray(this.config.autoPlaylists) ? this.config.autoPlaylists : []) {
+            if (!row?.name || !String(row.name).trim() || row.enabled === false) continue;
+            const key = sanitizeId(row.name);
+            if (!out.has(key)) out.set(key, row);
+        }
+        return out;
+    }
+
+    async syncAutoPlaylistObjects() {
+        const rules = this.getAutoPlaylists();
+        for (const [key, row] of rules) {
+            await this.extendObjectAsync(`autoPlaylists.${key}`, { type: 'channel', common: { name: String(row.name) }, native: {} });
+            const states = [
+                ['playlistId', { name: 'Spotify playlist id', type: 'string', role: 'text', read: true, write: false, def: '' }],
+                ['trackCount', { name: 'Tracks selected by the rule', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+                ['lastSync', { name: 'Last sync', type: 'number', role: 'date', read: true, write: false, def: 0 }],
+                ['lastResult', { name: 'Result of the last sync (JSON)', type: 'string', role: 'json', read: true, write: false, def: '' }],
+                ['sync', { name: `Sync playlist ${row.name} now`, type: 'boolean', role: 'button', read: true, write: true, def: false }],
+            ];
+            for (const [id, common] of states) {
+                await this.setObjectNotExistsAsync(`autoPlaylists.${key}.${id}`, { type: 'state', common, native: {} });
+            }
+        }
+
+        // Rules removed from the config: drop the objects, keep the Spotify playlist
+        const channels = await this.getChannelsOfAsync('autoPlaylists');
+        for (const channel of channels || []) {
+            const key = channel._id.split('.').pop();
+            if (!rules.has(key)) {
+                await this.delObjectAsync(`autoPlaylists.${key}`, { recursive: true });
+            }
+        }
+    }
+
+    async syncAutoPlaylists() {
+        for (const key of this.getAutoPlaylists().keys()) {
+            await this.syncAutoPlaylist(key);
+        }
+    }
+
+    /**
+     * Evaluate one rule and bring its Spotify playlist in line (only add/remove calls).
+     * Errors end up in autoPlaylists.<key>.lastResult.
+     */
+    async syncAutoPlaylist(key) {
+        const row = this.getAutoPlaylists().get(key);
+        if (!row || !this.spotify) return;
+        const base = `autoPlaylists.${key}`;
+        const now = Date.now();
+
+        try {
+            let desired;
+            if (row.source === 'liked') {
+                const start = periodStart(row, now);
+                // Liked Songs are sorted newest first: stop paging once we are past the period
+                const saved = await this.spotify.getSavedTracks({ stopWhen: (s) => Date.parse(s?.added_at) < start });
+                desired = selectFromLiked(saved, row, now);
+            } else {
+                if (!this.history) throw new Error('Listening history is disabled');
+                desired = selectFromHistory(await this.history.read({ from: periodStart(row, now), to: now }), row);
+            }
+
+            const playlistId = await this.getAutoPlaylistId(key, row);
+            const current = (await this.spotify.getPlaylistTracks(playlistId)).map((i) => i?.track?.uri).filter(Boolean);
+            const { add, remove } = diffPlaylist(current, desired);
+            if (remove.length) await this.spotify.removeFromPlaylist(playlistId, remove);
+            if (add.length) await this.spotify.addToPlaylist(playlistId, add);
+
+            if (add.length || remove.length) {
+                this.log.info(`Auto playlist "${row.name}": +${add.length} / -${remove.length} (${desired.length} tracks)`);
+            }
+            await this.setStateAsync(`${base}.trackCount`, desired.length, true);
+            await this.setStateAsync(`${base}.lastResult`, JSON.stringify({ ok: true, ts: now, added: add.length, removed: remove.length, total: desired.length }), true);
+        } catch (e) {
+            this.log.warn(`Auto playlist "${row.name}" not synced: ${e?.message || e}`);
+            await this.setStateAsync(`${base}.lastResult`, JSON.stringify({ ok: false, ts: now, error: e?.message || String(e) }), true);
+        }
+        await this.setStateAsync(`${base}.lastSync`, now, true);
+    }
+
+    /** Playlist of a rule: remembered id, else an own playlist with the rule name, else a new one. */
+    async getAutoPlaylistId(key, row) {
+        const idState = `autoPlaylists.${key}.playlistId`;
+        const known = await this.getStateAsync(idState);
+        if (known?.val) return String(known.val);
+
+        const name = String(row.name).trim();
+        const me = await this.spotify.getMe();
+        const existing = (await this.spotify.getMyPlaylists())
+            .find((p) => p?.owner?.id === me.id && String(p.name || '') === name);
+        const playlist = existing || await this.spotify.createPlaylist(name, {
+            description: 'Automatisch gepflegt von ioBroker (spotify-premium). Manuelle Änderungen werden überschrieben.',
+            isPublic: false,
+        });
+        await this.setStateAsync(idState, playlist.id, true);
+        return playlist.id;
+    }
+
+    /**
+     * Resolve a device given by id or name (case-insensitive) to its current id.
+     * Names matter: Connect device ids change e.g. after firmware updates.
+     * @returns {Promise<string>} device id, '' if not found
+     */
+    async resolveDeviceId(nameOrId, ctx = this.controlContext()) {
+        const wanted = String(nameOrId || '').trim();
+        if (!wanted) return '';
+        const devices = await ctx.spotify.getDevices();
+        const byId = devices.find((d) => d?.id === wanted);
+        if (byId) return byId.id;
+        const byName = devices.find((d) => String(d?.name || '').toLowerCase() === wanted.toLowerCase());
+        return byName?.id || '';
+    }
+
+    /**
+     * control.playUri: plain URI / share link / comma separated item URIs, or a JSON payload
+     *   { uris?: [], context_uri?, uri?, offset?: { position } | { uri }, position_ms?, device?, shuffle?, volume? }
+     * device, shuffle and volume are applied before playback starts.
+     */
+    async playFromInput(input, { deviceId } = {}, ctx = this.controlContext()) {
+        const text = String(input || '').trim();
+        if (!text) return;
+
+        if (!text.startsWith('{')) {
+            await ctx.spotify.playUri(text.split(/[\n,]+/).map((p) => p.trim()).filter(Boolean), { deviceId });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid JSON in control.playUri: ${e?.message || e}`);
+        }
+
+        let target = deviceId;
+        if (payload.device) {
+            target = await this.resolveDeviceId(payload.device, ctx);
+            if (!target) throw new Error(`Device "${payload.device}" not found`);
+            // Activate the device first, otherwise shuffle/volume have nothing to apply to
+            await ctx.spotify.transferPlayback(target, { play: false });
+        }
+        if (typeof payload.shuffle === 'boolean') {
+            await ctx.spotify.setShuffle(payload.shuffle, { deviceId: target });
+        }
+        if (payload.volume !== undefined && payload.volume !== null && payload.volume !== '' && Number.isFinite(Number(payload.volume))) {
+            await ctx.spotify.setVolume(Number(payload.volume), { deviceId: target });
+        }
+
+        const body = {};
+        const uris = (Array.isArray(payload.uris) ? payload.uris : []).map(normalizeUri).filter(Boolean);
+        const single = normalizeUri(payload.context_uri || payload.uri || '');
+        if (uris.length) {
+            body.uris = uris;
+        } else if (single && isItemUri(single)) {
+            body.uris = [single];
+        } else if (single) {
+            body.context_uri = single;
+        } else {
+            throw new Error('JSON payload needs "uris", "context_uri" or "uri"');
+        }
+
+        if (payload.offset && typeof payload.offset === 'object') {
+            if (payload.offset.uri) {
+                body.offset = { uri: normalizeUri(payload.offset.uri) };
+            } else if (Number.isFinite(Number(payload.offset.position))) {
+                body.offset = { position: Math.max(0, Number(payload.offset.position)) };
+            }
+        }
+        if (Number.isFinite(Number(payload.position_ms))) {
+            body.position_ms = Math.max(0, Number(payload.position_ms));
+        }
+
+        await ctx.spotify.startPlayback(body, { deviceId: target });
+    }
+
+    /**
+     * Check playback.isLiked (only tracks can be liked).
+     * @param {any} item current item
+     * @param {{recheck?: boolean}} [opts] recheck: same item as before, keep the state if the check fails
+     */
+    async updateIsLiked(item, { recheck = false } = {}) {
+        this.pollsSinceLikedCheck = 0;
+        let liked = false;
+        if (item?.type === 'track' && item.id) {
+            try {
+                [liked] = await this.spotify.containsSavedTracks([item.id]);
+            } catch (e) {
+                // e.g. 403 until the user logged in again with the library scopes
+                this.log.debug(`Cannot check Liked Songs: ${e?.message || e}`);
+                if (recheck) return;
+            }
+        }
+        await this.setStateChangedAsync('playback.isLiked', !!liked, true);
+    }
+
+    /**
+     * The item that is playing right now. Fetched instead of taken from the last poll, so a
+     * "like" button pressed right after a track change does not hit the previous track.
+     */
+    async getCurrentItem() {
+        const playback = await this.spotify.getPlaybackState();
+        const item = playback?.item;
+        if (!item?.uri) throw new Error('Nothing is playing');
+        return { item, contextUri: String(playback.context?.uri || '') };
+    }
+
+    /**
+     * Find one of the user's playlists by id, URI/link or name (case-insensitive).
+     * @returns {Promise<{id: string, name: string}>}
+     */
+    async resolvePlaylist(target) {
+        const wanted = normalizeUri(String(target || '').trim());
+        const id = wanted.startsWith('spotify:playlist:') ? wanted.split(':')[2] : wanted;
+        const playlists = await this.spotify.getMyPlaylists();
+        const found = playlists.find((p) => p?.id === id)
+            || playlists.find((p) => String(p?.name || '').toLowerCase() === wanted.toLowerCase());
+        if (found) return { id: found.id, name: String(found.name || found.id) };
+        // Playlists the user follows but that are not in the list (e.g. beyond the page limit)
+        if (/^[A-Za-z0-9]{22}$/.test(id)) return { id, name: id };
+        throw new Error(`Playlist "${target}" not found`);
+    }
+
+    /**
+     * sendTo createPlaylist: { name, description?, public?, uris? }
+     * @returns {Promise<{id: string, uri: string, name: string, url: string}>}
+     */
+    async createPlaylist(message) {
+        const name = String(message?.name || '').trim();
+        if (!name) throw new Error('"name" is required');
+        const rawUris = Array.isArray(message.uris) ? message.uris : String(message.uris || '').split(/[\n,]+/);
+        const uris = rawUris.map((u) => normalizeUri(String(u || '').trim())).filter((u) => u && isItemUri(u));
+
+        const playlist = await this.spotify.createPlaylist(name, { description: message.description || '', isPublic: !!message.public });
+        if (uris.length) await this.spotify.addToPlaylist(playlist.id, uris);
+        this.log.info(`Playlist "${name}" created with ${uris.length} item(s)`);
+
+        return { id: playlist.id, uri: playlist.uri, name: playlist.name, url: String(playlist.external_urls?.spotify || '') };
+    }
+
+    /**
+     * Search with the type from control.searchType and publish the results.
+     * @returns {Promise<object[]>} result entries, best match first
+     */
+    async search(query) {
+        const typeState = await this.getStateAsync('control.searchType');
+        const type = SEARCH_TYPES.has(String(typeState?.val)) ? String(typeState.val) : 'track';
+
+        const items = await this.spotify.search(query, { type });
+        const results = items.map((item) => ({ ...toListEntry(item), type: String(item.type || type) }));
+
+        await this.setStateAsync('search.query', query, true);
+        await this.setStateAsync('search.results', JSON.stringify(results), true);
+        return results;
+    }
+
+    async refreshLibrary() {
+        if (!this.spotify) return;
 
-        const playbackStates = [
-            ['playback.available', { name: 'Playback available (active device)', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
-            ['playback.isPlaying', { name: 'Is playing', type: 'boolean', role: 'media.state', read: true, write: false, def: false }],
-            ['playback.track', { name: 'Track', type: 'string', role: 'media.title', read: true, write: false, def: '' }],
-            ['playback.artist', { name: 'Artist', type: 'string', role: 'media.artist', read: true, write: false, def: '' }],
-            ['playback.album', { name: 'Album', type: 'string', role: 'media.album', read: true, write: false, def: '' }],
-            ['playback.uri', { name: 'URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
-            ['playback.contextUri', { name: 'Context URI', type: 'string', role: 'text', read: true, write: false, def: '' }],
-            ['playback.progressMs', { name: 'Progress (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
-            ['playback.durationMs', { name: 'Duration (ms)', type: 'number', role: 'value.time', read: true, write: false, def: 0, unit: 'ms' }],
-            ['playback.shuffle', { name: 'Shuffle', type: 'boolean', role: 'switch', read: true, write: false, def: false }],
-            ['playback.repeat', { name: 'Repeat', type: 'string', role: 'text', read: true, write: false, def: 'off' }],
-            ['playback.volume', { name: 'Volume (%)', type: 'number', role: 'level.volume', read: true, write: false, def: 0, unit: '%' }],
-            ['playback.deviceName', { name: 'Device name', type: 'string', role: 'text', read: true, write: false, def: '' }],
-            ['playback.deviceId', { name: 'Device id', type: 'string', role: 'text', read: true, write: false, def: '' }],
-            ['playback.deviceType', { name: 'Device type', type: 'string', role: 'text', read: true, write: false, def: '' }],
-            ['playback.deviceIsActive', { name: 'Device is active', type: 'boolean', role: 'indicator.state', read: true, write: false, def: false }],
-        ];
+        const playlists = await this.spotify.getMyPlaylists();
+        const albums = (await this.spotify.getSavedAlbums()).map((e) => e?.album).filter(Boolean);
+        const artists = await this.spotify.getFollowedArtists();
+        const tracks = (await this.spotify.getSavedTracks({ maxItems: LIBRARY_MAX_TRACKS })).map((e) => e?.track).filter(Boolean);
+
+        const playlistEntries = playlists.filter(Boolean).map((p) => ({
+            ...toListEntry(p),
+            id: String(p.id || ''),
+            trackCount: Number(p.tracks?.total) || 0,
+        }));
+
+        await this.setStateAsync('library.playlists', JSON.stringify(playlistEntries), true);
+        await this.setStateAsync('library.albums', JSON.stringify(albums.map(toListEntry)), true);
+        await this.setStateAsync('library.artists', JSON.stringify(artists.map(toListEntry)), true);
+        await this.setStateAsync('library.tracks', JSON.stringify(tracks.map(toListEntry)), true);
+
+        const seen = new Set();
+        for (const entry of playlistEntries) {
+            if (!entry.id || seen.has(entry.id)) continue;
+            seen.add(entry.id);
+            await this.updatePlaylistObjects(entry);
+        }
 
-        for (const [id, common] of playbackStates) {
-            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        const channels = await this.getChannelsOfAsync('playlists');
+        for (const channel of channels || []) {
+            const key = channel._id.split('.').pop();
+            if (!seen.has(key)) {
+                await this.delObjectAsync(`playlists.${key}`, { recursive: true });
+            }
         }
 
-        await this.setObjectNotExistsAsync('devices.json', {
-            type: 'state',
-            common: { name: 'Available devices (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' },
-            native: {},
-        });
+        await this.setStateAsync('library.lastUpdate', Date.now(), true);
+        this.log.info(`Library refreshed: ${playlistEntries.length} playlists, ${albums.length} albums, ${artists.length} artists, ${tracks.length} tracks`);
+    }
 
-        const controlStates = [
-            ['control.play', { name: 'Play', type: 'boolean', role: 'button.play', read: true, write: true, def: false }],
-            ['control.pause', { name: 'Pause', type: 'boolean', role: 'button.pause', read: true, write: true, def: false }],
-            ['control.toggle', { name: 'Toggle play/pause', type: 'boolean', role: 'button', read: true, write: true, def: false }],
-            ['control.next', { name: 'Next', type: 'boolean', role: 'button.next', read: true, write: true, def: false }],
-            ['control.previous', { name: 'Previous', type: 'boolean', role: 'button.prev', read: true, write: true, def: false }],
-            ['control.volume', { name: 'Set volume (%)', type: 'number', role: 'level.volume', read: true, write: true, def: 0, min: 0, max: 100, unit: '%' }],
-            ['control.shuffle', { name: 'Set shuffle', type: 'boolean', role: 'switch', read: true, write: true, def: false }],
-            ['control.repeat', { name: 'Set repeat (off|context|track)', type: 'string', role: 'text', read: true, write: true, def: 'off' }],
-            ['control.seek', { name: 'Seek to position (ms)', type: 'number', role: 'value.time', read: true, write: true, def: 0, unit: 'ms' }],
-            ['control.playUri', { name: 'Play URI (track/playlist/album/artist)', type: 'string', role: 'text', read: true, write: true, def: '' }],
-            ['control.addToQueue', { name: 'Add to queue (URI)', type: 'string', role: 'text', read: true, write: true, def: '' }],
-            ['control.transferToDevice', { name: 'Transfer playback to deviceId', type: 'string', role: 'text', read: true, write: true, def: '' }],
-            ['control.refreshDevices', { name: 'Refresh devices list', type: 'boolean', role: 'button', read: true, write: true, def: false }],
+    async updatePlaylistObjects(entry) {
+        // Playlist ids are stable and id-safe (base62), names are neither
+        const base = `playlists.${entry.id}`;
+        await this.extendObjectAsync(base, { type: 'channel', common: { name: entry.name }, native: {} });
+
+        const states = [
+            ['name', { name: 'Name', type: 'string', role: 'text', read: true, write: false, def: '' }, entry.name],
+            ['uri', { name: 'URI', type: 'string', role: 'text', read: true, write: false, def: '' }, entry.uri],
+            ['image', { name: 'Image', type: 'string', role: 'media.cover', read: true, write: false, def: '' }, entry.image],
+            ['trackCount', { name: 'Track count', type: 'number', role: 'value', read: true, write: false, def: 0 }, entry.trackCount],
+            ['play', { name: 'Play playlist', type: 'boolean', role: 'button.play', read: true, write: true, def: false }, undefined],
         ];
 
-        for (const [id, common] of controlStates) {
-            await this.setObjectNotExistsAsync(id, { type: 'state', common, native: {} });
+        for (const [id, common, val] of states) {
+            await this.setObjectNotExistsAsync(`${base}.${id}`, { type: 'state', common, native: {} });
+            if (val !== undefined) await this.setStateAsync(`${base}.${id}`, val, true);
         }
     }
 
-    /** Serialize command executions. */
-    queueCommand(fn) {
-        this.commandQueue = this.commandQueue
-            .then(() => fn())
-            .catch((e) => {
-                if (this.config.logApiErrors) {
-                    this.log.error(`Command failed: ${e?.stack || e}`);
-                } else {
-                    this.log.warn(`Command failed: ${e?.message || e}`);
-                }
-            });
-    }
-
-    /**
-     * Merge saved config with runtime values passed from Admin via jsonData.
-     * This is important because users may click "MIT SPOTIFY VERBINDEN" before pressing "Speichern".
-     */
-    getEffectiveConfigFromMessage(message) {
-        const m = (message && typeof message === 'object') ? message : {};
+    async onStateChange(id, state) {
+        if (!state || state.ack) return;
 
-        const out = {
-            clientId: (typeof m.clientId === 'string' ? m.clientId : this.config.clientId) || '',
-            clientSecret: (typeof m.clientSecret === 'string' ? m.clientSecret : this.config.clientSecret) || '',
-            redirectUri: (typeof m.redirectUri === 'string' ? m.redirectUri : this.config.redirectUri) || '',
-            callbackBindIp: (typeof m.callbackBindIp === 'string' ? m.callbackBindIp : this.config.callbackBindIp) || '0.0.0.0',
-            generateSelfSignedCert: (typeof m.generateSelfSignedCert === 'boolean' ? m.generateSelfSignedCert : !!this.config.generateSelfSignedCert),
-        };
+        const rel = id.startsWith(this.namespace + '.') ? id.substring(this.namespace.length + 1) : id;
 
-        return {
-            ...out,
-            clientId: String(out.clientId).trim(),
-            clientSecret: String(out.clientSecret).trim(),
-            redirectUri: String(out.redirectUri).trim(),
-            callbackBindIp: String(out.callbackBindIp).trim() || '0.0.0.0',
-        };
-    }
+        const [accountPart, channel, ...rest] = rel.split('.');
+        if (channel === 'control' && this.accounts.has(accountPart)) {
+            this.accounts.get(accountPart).onControl(rest.join('.'), state.val);
+            return;
+        }
 
-    async pollPlayback() {
         if (!this.spotify) return;
 
-        const playback = await this.spotify.getPlaybackState();
-        if (!playback) {
-            await this.setStateAsync('playback.available', false, true);
-            await this.setStateAsync('playback.isPlaying', false, true);
+        const run = (fn, opts) => this.runControl(rel, state.val, fn, opts).catch((e) => this.logCommandError(e));
+
+        const deviceMatch = /^devices\.([^.]+)\.(volume|transferHere|playHere)$/.exec(rel);
+        if (deviceMatch) {
+            run(() => this.handleDeviceCommand(deviceMatch[1], deviceMatch[2], state.val));
+            this.pollScheduler?.pollSoon();
             return;
         }
 
-        await this.setStateAsync('playback.available', true, true);
-        await this.setStateAsync('playback.isPlaying', !!playback.is_playing, true);
+        const presetMatch = /^presets\.([^.]+)\.activate$/.exec(rel);
+        if (presetMatch) {
+            run(() => this.runWithDeviceWakeup(rel, async (deviceId) => {
+                await this.setStateAsync(rel, false, true);
+                await this.activatePreset(presetMatch[1], { deviceId });
+            }));
+            this.pollScheduler?.pollSoon();
+            return;
+        }
 
-        const item = playback.item || null;
-        const track = item?.name || '';
-        const artists = Array.isArray(item?.artists) ? item.artists.map((a) => a?.name).filter(Boolean).join(', ') : '';
-        const album = item?.album?.name || '';
-        const uri = item?.uri || '';
-        const contextUri = playback?.context?.uri || '';
+        const autoPlaylistMatch = /^autoPlaylists\.([^.]+)\.sync$/.exec(rel);
+        if (autoPlaylistMatch) {
+            run(async () => {
+                await this.setStateAsync(rel, false, true);
+                await this.syncAutoPlaylist(autoPlaylistMatch[1]);
+            }, { timeoutMs: BACKGROUND_TIMEOUT_MS });
+            return;
+        }
 
-        await this.setStateAsync('playback.track', track, true);
-        await this.setStateAsync('playback.artist', artists, true);
-        await this.setStateAsync('playback.album', album, true);
-        await this.setStateAsync('playback.uri', uri, true);
-        await this.setStateAsync('playback.contextUri', contextUri, true);
+        const playlistMatch = /^playlists\.([^.]+)\.play$/.exec(rel);
+        if (playlistMatch) {
+            run(() => this.runWithDeviceWakeup(rel, async (deviceId) => {
+                const uriState = await this.getStateAsync(`playlists.${playlistMatch[1]}.uri`);
+                if (uriState?.val) await this.spotify.playUri(String(uriState.val), { deviceId });
+                await this.setStateAsync(rel, false, true);
+            }));
+            this.pollScheduler?.pollSoon();
+            return;
+        }
 
-        await this.setStateAsync('playback.progressMs', Number(playback.progress_ms) || 0, true);
-        await this.setStateAsync('playback.durationMs', Number(item?.duration_ms) || 0, true);
+        if (rel === 'player.transferHere') {
+            run(async () => {
+                await this.setStateAsync(rel, false, true);
+                const deviceState = await this.getStateAsync('player.deviceId');
+                if (!deviceState?.val) throw new Error('Browser player is not connected (player.deviceId empty)');
+                await this.spotify.transferPlayback(String(deviceState.val), { play: true });
+            });
+            this.pollScheduler?.pollSoon();
+            return;
+        }
 
-        await this.setStateAsync('playback.shuffle', !!playback.shuffle_state, true);
-        await this.setStateAsync('playback.repeat', String(playback.repeat_state || 'off'), true);
+        if (!rel.startsWith('control.')) return;
 
-        const device = playback.device || null;
-        await this.setStateAsync('playback.volume', Number(device?.volume_percent) || 0, true);
-        await this.setStateAsync('playback.deviceName', String(device?.name || ''), true);
-        await this.setStateAsync('playback.deviceId', String(device?.id || ''), true);
-        await this.setStateAsync('playback.deviceType', String(device?.type || ''), true);
-        await this.setStateAsync('playback.deviceIsActive', !!device?.is_active, true);
+        if (RELATIVE_VOLUME_COMMANDS.has(rel)) {
+            // Merged first, the resulting setVolume call is queued like every other command
+            this.settleControl(rel, state.val, this.handleRelativeVolume(rel, state.val)).catch((e) => this.logCommandError(e));
+            return;
+        }
+
+        const timeoutMs = rel === 'control.refreshLibrary' ? BACKGROUND_TIMEOUT_MS : undefined;
+        run(() => this.executeControl(rel, rel, state.val), { timeoutMs });
+
+        // Pick up the effect of the command without waiting for the next regular poll
+        this.pollScheduler?.pollSoon();
     }
 
-    async refreshDevices() {
-        if (!this.spotify) return;
-        const devices = await this.spotify.getDevices();
-        await this.setStateAsync('devices.json', JSON.stringify(devices, null, 2), true);
+    /**
+     * Execute a control.* command (handleControl); player commands (PLAYER_COMMANDS) run with the device wakeup.
+     * @param {string} id state id relative to the namespace, for reporting
+     * @param {string} rel state id relative to the account (control.<name>)
+     * @param {any} val state value
+     * @param {ControlContext} [ctx] account to run it for (default: main account)
+     */
+    async executeControl(id, rel, val, ctx = this.controlContext()) {
+        if (!PLAYER_COMMANDS.has(rel)) return this.handleControl(rel, val, undefined, ctx);
+        return this.runWithDeviceWakeup(id, (deviceId) => this.handleControl(rel, val, deviceId, ctx), ctx);
     }
 
-    async onStateChange(id, state) {
-        if (!state || state.ack) return;
-        if (!this.spotify) return;
+    /**
+     * Run a command; if it fails because no device is active (NO_ACTIVE_DEVICE),
+     * wake up a fallback device (defaultDeviceId, then devicePriority) and retry once per candidate.
+     * Every attempt is reported in info.lastCommandResult.
+     * @param {string} command name for reporting
+     * @param {(deviceId?: string) => Promise<void>} fn
+     * @param {ControlContext} [ctx] account to run it for (default: main account)
+     */
+    async runWithDeviceWakeup(command, fn, ctx = this.controlContext()) {
+        const report = (result) => this.setStateAsync(`${ctx.prefix}info.lastCommandResult`, JSON.stringify({ command, ts: Date.now(), ...result }), true);
 
-        const rel = id.startsWith(this.namespace + '.') ? id.substring(this.namespace.length + 1) : id;
-        if (!rel.startsWith('control.')) return;
+        const initialDeviceId = ctx.defaultDeviceId || undefined;
+        try {
+            await fn(initialDeviceId);
+            await report({ ok: true, attempt: 1, deviceId: initialDeviceId || '' });
+            return;
+        } catch (e) {
+            await report({ ok: false, attempt: 1, deviceId: initialDeviceId || '', error: e?.message || String(e) });
+            if (!isDeviceUnavailableError(e)) throw e;
+            this.log.info(`${command}: no active device, trying to wake up a fallback device`);
+        }
 
-        const deviceId = this.config.defaultDeviceId ? String(this.config.defaultDeviceId) : undefined;
+        const candidates = [ctx.defaultDeviceId, ...ctx.devicePriority.split(/[\n,]+/)]
+            .map((c) => String(c || '').trim())
+            .filter(Boolean);
+
+        let attempt = 1;
+        let lastError = null;
+        for (const candidate of [...new Set(candidates)]) {
+            attempt++;
+            const deviceId = await this.resolveDeviceId(candidate, ctx);
+            if (!deviceId) {
+                await report({ ok: false, attempt, device: candidate, error: 'Device not available' });
+                continue;
+            }
+
+            try {
+                await ctx.spotify.transferPlayback(deviceId, { play: false });
+                await this.waitForActiveDevice(deviceId, ctx);
+                await fn(deviceId);
+                await report({ ok: true, attempt, device: candidate, deviceId });
+                return;
+            } catch (e) {
+                lastError = e;
+                await report({ ok: false, attempt, device: candidate, deviceId, error: e?.message || String(e) });
+            }
+        }
+
+        throw lastError || new Error(`${command}: no active device and no fallback device available (check defaultDeviceId / devicePriority)`);
+    }
+
+    /** Wait until Spotify reports deviceId as the active device. */
+    async waitForActiveDevice(deviceId, ctx = this.controlContext()) {
+        const until = Date.now() + DEVICE_WAKEUP_TIMEOUT_MS;
+        while (Date.now() < until) {
+            const devices = await ctx.spotify.getDevices();
+            if (devices.some((d) => d?.id === deviceId && d.is_active)) return;
+            await new Promise((resolve) => this.setTimeout(resolve, 1_000));
+        }
+        throw new Error(`Device ${deviceId} did not become active within ${DEVICE_WAKEUP_TIMEOUT_MS / 1000}s`);
+    }
 
+    /**
+     * Execute a control.* command.
+     * Additional accounts only route the commands they have states for (see lib/account); search,
+     * presets, sleep timer, playlists and likes work on trees of the main account.
+     * @param {string} rel state id relative to the account (control.<name>)
+     * @param {any} val state value
+     * @param {string} [deviceId] target device (undefined = currently active device)
+     * @param {ControlContext} [ctx] account to run it for (default: main account)
+     */
+    async handleControl(rel, val, deviceId, ctx = this.controlContext()) {
+        const spotify = ctx.spotify;
+        const p = ctx.prefix;
         const resetButton = async (stateId) => {
-            await this.setStateAsync(stateId, false, true);
+            await this.setStateAsync(`${p}${stateId}`, false, true);
         };
 
-        const val = state.val;
-
-        this.queueCommand(async () => {
-            switch (rel) {
-                case 'control.play':
-                    await this.spotify.play({ deviceId });
-                    await resetButton('control.play');
-                    break;
-                case 'control.pause':
-                    await this.spotify.pause({ deviceId });
-                    await resetButton('control.pause');
-                    break;
-                case 'control.toggle': {
-                    const isPlayingState = await this.getStateAsync('playback.isPlaying');
-                    const isPlaying = !!isPlayingState?.val;
-                    if (isPlaying) {
-                        await this.spotify.pause({ deviceId });
-                    } else {
-                        await this.spotify.play({ deviceId });
-                    }
-                    await resetButton('control.toggle');
-                    break;
-                }
-                case 'control.next':
-                    await this.spotify.next({ deviceId });
-                    await resetButton('control.next');
-                    break;
-                case 'control.previous':
-                    await this.spotify.previous({ deviceId });
-                    await resetButton('control.previous');
-                    break;
-                case 'control.volume': {
-                    const v = Math.max(0, Math.min(100, Number(val)));
-                    if (Number.isFinite(v)) {
-                        await this.spotify.setVolume(v, { deviceId });
-                        await this.setStateAsync('control.volume', v, true);
-                    }
-                    break;
-                }
-                case 'control.shuffle': {
-                    const s = !!val;
-                    await this.spotify.setShuffle(s, { deviceId });
-                    await this.setStateAsync('control.shuffle', s, true);
-                    break;
-                }
-                case 'control.repeat': {
-                    const r = String(val || '').toLowerCase();
-                    const allowed = new Set(['off', 'track', 'context']);
-                    const rr = allowed.has(r) ? r : 'off';
-                    await this.spotify.setRepeat(rr, { deviceId });
-                    await this.setStateAsync('control.repeat', rr, true);
-                    break;
-                }
-                case 'control.seek': {
-                    const pos = Math.max(0, Number(val));
-                    if (Number.isFinite(pos)) {
-                        await this.spotify.seek(pos, { deviceId });
-                        await this.setStateAsync('control.seek', pos, true);
-                    }
-                    break;
+        switch (rel) {
+            case 'control.play': {
+                const fadeInMs = Math.max(0, Number(this.config.playFadeInSeconds) || 0) * 1000;
+                const targetVolume = await this.getPolledVolume(ctx);
+                if (fadeInMs > 0 && targetVolume > 0 && !ctx.progress.isPlaying) {
+                    await spotify.setVolume(0, { deviceId });
+                    await spotify.play({ deviceId });
+                    this.startFade(0, targetVolume, fadeInMs, deviceId, ctx);
+                } else {
+                    await spotify.play({ deviceId });
                 }
-                case 'control.playUri': {
-                    const uri = String(val || '').trim();
-                    if (uri) {
-                        await this.spotify.playUri(uri, { deviceId });
-                        await this.setStateAsync('control.playUri', '', true);
-                    }
-                    break;
+                ctx.progress.sync({ isPlaying: true });
+                await resetButton('control.play');
+                break;
+            }
+            case 'control.pause':
+                await spotify.pause({ deviceId });
+                ctx.progress.sync({ isPlaying: false });
+                await ctx.publishProgress();
+                await resetButton('control.pause');
+                break;
+            case 'control.toggle': {
+                const isPlayingState = await this.getStateAsync(`${p}playback.isPlaying`);
+                const isPlaying = !!isPlayingState?.val;
+                if (isPlaying) {
+                    await spotify.pause({ deviceId });
+                } else {
+                    await spotify.play({ deviceId });
                 }
-                case 'control.addToQueue': {
-                    const uri = String(val || '').trim();
-                    if (uri) {
-                        await this.spotify.addToQueue(uri, { deviceId });
-                        await this.setStateAsync('control.addToQueue', '', true);
-                    }
-                    break;
+                ctx.progress.sync({ isPlaying: !isPlaying });
+                await ctx.publishProgress();
+                await resetButton('control.toggle');
+                break;
+            }
+            case 'control.next':
+                await spotify.next({ deviceId });
+                // Duration of the next item is unknown until the next poll
+                ctx.progress.sync({ progressMs: 0, durationMs: 0 });
+                await ctx.publishProgress();
+                await resetButton('control.next');
+                break;
+            case 'control.previous':
+                await spotify.previous({ deviceId });
+                ctx.progress.sync({ progressMs: 0, durationMs: 0 });
+                await ctx.publishProgress();
+                await resetButton('control.previous');
+                break;
+            case 'control.volume': {
+                const v = Math.max(0, Math.min(100, Number(val)));
+                if (Number.isFinite(v)) {
+                    // A manual volume change wins over a running fade
+                    ctx.fader.cancel();
+                    await spotify.setVolume(v, { deviceId });
+                    await this.setStateAsync(`${p}control.volume`, v, true);
                 }
-                case 'control.transferToDevice': {
-                    const target = String(val || '').trim();
-                    if (target) {
-                        await this.spotify.transferPlayback(target, { play: true });
-                        await this.setStateAsync('control.transferToDevice', '', true);
-                    }
-                    break;
+                break;
+            }
+            case 'control.shuffle': {
+                const s = !!val;
+                await spotify.setShuffle(s, { deviceId });
+                await this.setStateAsync(`${p}control.shuffle`, s, true);
+                break;
+            }
+            case 'control.repeat': {
+                const r = String(val || '').toLowerCase();
+                const allowed = new Set(['off', 'track', 'context']);
+                const rr = allowed.has(r) ? r : 'off';
+                await spotify.setRepeat(rr, { deviceId });
+                await this.setStateAsync(`${p}control.repeat`, rr, true);
+                break;
+            }
+            case 'control.seek': {
+                const pos = Math.max(0, Number(val));
+                if (Number.isFinite(pos)) {
+                    await spotify.seek(pos, { deviceId });
+                    ctx.progress.sync({ progressMs: pos });
+                    await ctx.publishProgress();
+                    await this.setStateAsync(`${p}control.seek`, pos, true);
                 }
-                case 'control.refreshDevices':
-                    await this.refreshDevices();
-                    await resetButton('control.refreshDevices');
-                    break;
-                default:
-                    this.log.debug(`Unhandled control state: ${rel}`);
-                    break;
+                break;
             }
-        });
+            case 'control.playUri': {
+                const uri = String(val || '').trim();
+                if (uri) {
+                    await this.playFromInput(uri, { deviceId }, ctx);
+                    await this.setStateAsync(`${p}control.playUri`, '', true);
+                }
+                break;
+            }
+            case 'control.addToQueue': {
+                const uris = await this.expandQueueUris(val, ctx);
+                for (const uri of uris) {
+                    await spotify.addToQueue(uri, { deviceId });
+                }
+                if (uris.length) {
+                    await this.setStateAsync(`${p}control.addToQueue`, '', true);
+                    await ctx.refreshQueue?.();
+                }
+                break;
+            }
+            case 'control.transferToDevice': {
+                const target = String(val || '').trim();
+                if (target) {
+                    // Accept device names as well as ids
+                    const targetId = (await this.resolveDeviceId(target, ctx)) || target;
+                    await spotify.transferPlayback(targetId, { play: true });
+                    await this.setStateAsync(`${p}control.transferToDevice`, '', true);
+                }
+                break;
+            }
+            case 'control.refreshDevices':
+                await ctx.refreshDevices();
+                await resetButton('control.refreshDevices');
+                break;
+            case 'control.search': {
+                const q = String(val || '').trim();
+                if (q) {
+                    await this.search(q);
+                    await this.setStateAsync(`${p}control.search`, q, true);
+                }
+                break;
+            }
+            case 'control.searchType': {
+                const t = String(val || '').trim().toLowerCase();
+                const type = SEARCH_TYPES.has(t) ? t : 'track';
+                await this.setStateAsync(`${p}control.searchType`, type, true);
+                break;
+            }
+            case 'control.playSearch': {
+                const q = String(val || '').trim();
+                if (q) {
+                    const [best] = await this.search(q);
+                    if (!best?.uri) throw new Error(`No search result for "${q}"`);
+                    this.log.info(`Playing best match for "${q}": ${best.name} (${best.uri})`);
+                    await spotify.playUri(best.uri, { deviceId });
+                    await this.setStateAsync(`${p}control.playSearch`, '', true);
+                }
+                break;
+            }
+            case 'control.fadeTo': {
+                const text = String(val || '').trim();
+                if (!text) break;
+                let target;
+                let seconds = 10;
+                if (text.startsWith('{')) {
+                    const payload = JSON.parse(text);
+                    target = Number(payload.volume);
+                    if (payload.duration !== undefined) seconds = Number(payload.duration);
+                } else {
+                    const [v, s] = text.split(/[,;\s]+/);
+                    target = Number(v);
+                    if (s !== undefined) seconds = Number(s);
+                }
+                if (!Number.isFinite(target) || !Number.isFinite(seconds)) {
+                    throw new Error(`Invalid fadeTo value "${text}" (expected "volume[,seconds]")`);
+                }
+                await this.setStateAsync(`${p}control.fadeTo`, text, true);
+                this.startFade(await this.getPolledVolume(ctx), target, Math.max(0, seconds) * 1000, deviceId, ctx);
+                break;
+            }
+            case 'control.sleepTimer': {
+                const minutes = Math.max(0, Number(val) || 0);
+                await this.setSleepTimer(minutes);
+                await this.setStateAsync(`${p}control.sleepTimer`, minutes, true);
+                break;
+            }
+            case 'control.preset': {
+                const name = String(val || '').trim();
+                if (name) {
+                    await this.setStateAsync(`${p}control.preset`, name, true);
+                    await this.activatePreset(name, { deviceId });
+                }
+                break;
+            }
+            case 'control.saveCurrentToPlaylist': {
+                const target = String(val || '').trim();
+                if (target) {
+                    const { item } = await this.getCurrentItem();
+                    const playlist = await this.resolvePlaylist(target);
+                    await spotify.addToPlaylist(playlist.id, [item.uri]);
+                    this.log.info(`Added "${item.name}" to playlist "${playlist.name}"`);
+                    await this.setStateAsync(`${p}control.saveCurrentToPlaylist`, '', true);
+                }
+                break;
+            }
+            case 'control.removeCurrentFromPlaylist': {
+                const named = val === true ? '' : String(val || '').trim();
+                const { item, contextUri } = await this.getCurrentItem();
+                if (!named && !contextUri.startsWith('spotify:playlist:')) {
+                    throw new Error('Not playing from a playlist; name the playlist to remove the track from');
+                }
+                const playlist = await this.resolvePlaylist(named || contextUri);
+                await spotify.removeFromPlaylist(playlist.id, [item.uri]);
+                this.log.info(`Removed "${item.name}" from playlist "${playlist.name}"`);
+                await this.setStateAsync(`${p}control.removeCurrentFromPlaylist`, '', true);
+                break;
+            }
+            case 'control.likeCurrent':
+            case 'control.unlikeCurrent': {
+                const like = rel === 'control.likeCurrent';
+                const { item } = await this.getCurrentItem();
+                if (item.type !== 'track' || !item.id) throw new Error('Only tracks can be added to Liked Songs');
+                if (like) {
+                    await spotify.saveTracks([item.id]);
+                } else {
+                    await spotify.removeSavedTracks([item.id]);
+                }
+                // Only update the indicator if it still shows this track
+                if (item.uri === this.lastItemUri) await this.setStateAsync('playback.isLiked', like, true);
+                await resetButton(rel);
+                break;
+            }
+            case 'control.refreshLibrary':
+                await this.refreshLibrary();
+                await resetButton('control.refreshLibrary');
+                break;
+            default:
+                this.log.debug(`Unhandled control state: ${rel}`);
+                break;
+        }
     }
 
     /**
@@ -408,10 +2186,52 @@ class SpotifyPremiumAdapter extends utils.Adapter {
                 }
 
                 case 'oauthDisconnect': {
-                    await this.clearTokens();
+                    if (cfg.account) {
+                        await this.clearAccountToken(cfg.account);
+                    } else {
+                        await this.clearTokens();
+                    }
                     return respond({ reloadBrowser: true });
                 }
 
+                case 'getHistory': {
+                    // message: { from?, to?, limit? } (timestamps in ms or date strings)
+                    if (!this.history) return respond({ error: 'Listening history is disabled' });
+                    const toTs = (v, def) => {
+                        if (v === undefined || v === null || v === '') return def;
+                        const n = typeof v === 'number' ? v : Date.parse(String(v));
+                        if (!Number.isFinite(n)) throw new Error(`Invalid date: ${v}`);
+                        return n;
+                    };
+                    const m = obj.message && typeof obj.message === 'object' ? obj.message : {};
+                    const entries = await this.history.read({
+                        from: toTs(m.from, startOfDay(Date.now())),
+                        to: toTs(m.to, Date.now()),
+                        limit: Number(m.limit) > 0 ? Number(m.limit) : Infinity,
+                    });
+                    return respond({ entries, stats: computeStats(entries) });
+                }
+
+                case 'createPlaylist': {
+                    // message: { name, description?, public?, uris?: [] | "uri,uri" }
+                    if (!this.spotify) return respond({ error: 'Spotify not authenticated' });
+                    const result = await this.commands.push(() => this.createPlaylist(obj.message), { label: 'createPlaylist' })
+                        .catch((e) => ({ error: e?.message || String(e) }));
+                    if (!result.error) this.queueCommand(() => this.refreshLibrary(), { priority: 'background', key: 'refreshLibrary', timeoutMs: BACKGROUND_TIMEOUT_MS });
+                    return respond(result);
+                }
+
+                case 'getLibrary': {
+                    // message: { refresh?: boolean }
+                    if (obj.message?.refresh) await this.queueCommand(() => this.refreshLibrary(), { key: 'refreshLibrary', timeoutMs: BACKGROUND_TIMEOUT_MS });
+                    const out = {};
+                    for (const key of ['playlists', 'albums', 'artists', 'tracks']) {
+                        const st = await this.getStateAsync(`library.${key}`);
+                        out[key] = JSON.parse(String(st?.val || '[]'));
+                    }
+                    return respond(out);
+                }
+
                 default:
                     return respond({ error: `Unknown command: ${obj.command}` });
             }
@@ -437,29 +2257,45 @@ class SpotifyPremiumAdapter extends utils.Adapter {
 
         if (!clientId || !redirectUri) return '';
 
+        // The redirect URI must match the dashboard exactly, so the account travels in the state map
+        let account = '';
+        if (cfg.account) {
+            account = accountKey(cfg.account);
+            if (!account) throw new Error(`Invalid account name: ${cfg.account}`);
+        }
+
         this.cleanupOldOauthStates();
 
         const state = base64UrlEncode(crypto.randomBytes(16));
         const codeVerifier = base64UrlEncode(crypto.randomBytes(32));
         const codeChallenge = sha256Base64Url(codeVerifier);
 
-        this.oauthStates.set(state, { codeVerifier, createdAt: Date.now(), clientId, redirectUri });
+        this.oauthStates.set(state, { codeVerifier, createdAt: Date.now(), clientId, redirectUri, account });
 
         const scopes = [
             'user-read-playback-state',
             'user-modify-playback-state',
-            'user-read-currently-playing'
+            'user-read-currently-playing',
+            'playlist-read-private',
+            'playlist-read-collaborative',
+            'user-library-read',
+            'user-follow-read',
+            'user-read-recently-played',
+            'playlist-modify-public',
+            'playlist-modify-private',
+            'user-library-modify',
         ];
 
         const includeStreaming = typeof cfg.includeStreamingScope === 'boolean'
             ? cfg.includeStreamingScope
             : !!this.config.includeStreamingScope;
 
-        if (includeStreaming) scopes.push('streaming');
+        // The Web Playback SDK needs user-read-email and user-read-private in addition to streaming
+        if (includeStreaming) scopes.push('streaming', 'user-read-email', 'user-read-private');
 
         const scope = scopes.join(' ');
 
-        const url = new URL('https://accounts.spotify.com/authorize');
+        const url = new URL('authorize', baseUrl(this.config.accountsBaseUrl, ACCOUNTS_BASE_URL));
         url.searchParams.set('client_id', clientId);
         url.searchParams.set('response_type', 'code');
         url.searchParams.set('redirect_uri', redirectUri);
@@ -467,6 +2303,10 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         url.searchParams.set('scope', scope);
         url.searchParams.set('code_challenge_method', 'S256');
         url.searchParams.set('code_challenge', codeChallenge);
+        if (account) {
+            // Let the user pick the right Spotify login for this account
+            url.searchParams.set('show_dialog', 'true');
+        }
 
         return url.toString();
     }
@@ -523,6 +2363,28 @@ class SpotifyPremiumAdapter extends utils.Adapter {
             try {
                 const reqUrl = new URL(req.url || '/', `${protocol}//${req.headers.host || 'localhost'}`);
 
+                if (this.playerPage && reqUrl.pathname !== cbPath && /^\/player(\/|$)/.test(reqUrl.pathname)) {
+                    this.playerPage.handle(req, res, reqUrl);
+                    return;
+                }
+
+                if (reqUrl.pathname === '/nowplaying') {
+                    if (!this.localApi) {
+                        // The widget gets its data from the local API; say so instead of showing a dead page
+                        res.writeHead(503, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+                        res.end(this.renderHtml('Now-Playing-Widget', 'Das Widget benötigt die <b>lokale API</b>: im Tab <b>INTEGRATIONEN</b> „REST- und WebSocket-API aktivieren“, API-Key setzen und speichern.<br/>Danach <code>/nowplaying?key=&lt;API-Key&gt;</code> öffnen.'));
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+                    res.end(renderNowPlaying({ theme: reqUrl.searchParams.get('theme'), layout: reqUrl.searchParams.get('layout') }));
+                    return;
+                }
+
+                if (this.localApi && reqUrl.pathname !== cbPath && reqUrl.pathname.startsWith('/api/')) {
+                    this.localApi.handle(req, res, reqUrl);
+                    return;
+                }
+
                 if (reqUrl.pathname !== cbPath) {
                     res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
                     res.end(`Spotify Premium Adapter callback server is running.\nUse path: ${cbPath}`);
@@ -541,8 +2403,9 @@ class SpotifyPremiumAdapter extends utils.Adapter {
                 }
 
                 if (!code || !state) {
-                    // Treat direct visit to the callback URL as "start login" (avoids popup blockers in Admin)
-                    this.generateAuthUrl()
+                    // Treat direct visit to the callback URL as "start login" (avoids popup blockers in Admin).
+                    // ?account=<name> starts the login for an additional account.
+                    this.generateAuthUrl({ account: reqUrl.searchParams.get('account') || '' })
                         .then((authUrl) => {
                             if (!authUrl) {
                                 res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
@@ -583,6 +2446,7 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         } else {
             throw new Error(`Unsupported protocol in redirectUri: ${protocol}`);
         }
+        this.localApi?.attach(this.server);
 
         await new Promise((resolve, reject) => {
             this.server.once('error', reject);
@@ -593,6 +2457,8 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         });
 
         this.log.info(`Callback server listening on ${bindIp}:${port}${cbPath} (${protocol.replace(':', '')})`);
+        if (this.playerPage) this.log.info(`Browser player available at ${protocol}//${u.hostname}:${port}/player?key=<API key>`);
+        if (this.localApi) this.log.info(`Local API available at ${protocol}//${u.hostname}:${port}/api/ (WebSocket /api/ws, widget /nowplaying)`);
     }
 
     async getHttpsKeyCert(hostname) {
@@ -702,7 +2568,7 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         this.oauthStates.delete(state);
 
         // Exchange authorization code for tokens
-        const tokenUrl = 'https://accounts.spotify.com/api/token';
+        const tokenUrl = new URL('api/token', baseUrl(this.config.accountsBaseUrl, ACCOUNTS_BASE_URL));
         const body = new URLSearchParams({
             grant_type: 'authorization_code',
             code: String(code),
@@ -737,6 +2603,11 @@ class SpotifyPremiumAdapter extends utils.Adapter {
             throw new Error('Spotify did not return a refresh_token. Ensure you used Authorization Code + PKCE flow and scopes are correct.');
         }
 
+        if (entry.account) {
+            await this.saveAccountRefreshToken(entry.account, refreshToken);
+            return `Spotify-Konto <b>${entry.account}</b> ist jetzt verbunden ✅<br/>Der Adapter startet neu und übernimmt das Konto.`;
+        }
+
         await this.saveRefreshToken({ refreshToken, clientId, redirectUri });
 
         // (Re)initialize Spotify client
@@ -745,11 +2616,21 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         return `Spotify ist jetzt verbunden ✅<br/>Zurück zu ioBroker Admin → Instanz-Einstellungen. Falls der Refresh-Token im Feld noch leer aussieht: Seite einmal neu laden (F5).`;
     }
 
-    async saveRefreshToken({ refreshToken, clientId, redirectUri }) {
+    /**
+     * Persist a refresh token.
+     * Tokens rotated by Spotify at runtime (rotated=true) go into an encrypted state instead of the
+     * instance object: changing native would restart the adapter, which refreshes (and rotates) again.
+     */
+    async saveRefreshToken({ refreshToken, clientId, redirectUri, rotated = false }) {
         const token = String(refreshToken);
         const cid = String(clientId || '').trim();
         const ruri = String(redirectUri || '').trim();
 
+        if (rotated) {
+            await this.storeRotatedRefreshToken(token);
+            return;
+        }
+
         // Update in-memory config for the running instance
         this.config.refreshToken = token;
         if (cid) this.config.clientId = cid;
@@ -770,6 +2651,56 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         this.log.info('Refresh token stored in instance configuration.');
     }
 
+    /**
+     * Store a token rotated at runtime, bound to the configured token it was derived from
+     * (see loadRefreshToken).
+     */
+    async storeRotatedRefreshToken(token, configuredToken = this.config.refreshToken, prefix = '') {
+        const record = rotatedTokenRecord(token, configuredToken, (value) => this.encrypt(value));
+        await this.setStateAsync(`${prefix}info.rotatedRefreshToken`, record, true);
+        this.log.debug('Rotated refresh token stored.');
+    }
+
+    /**
+     * Store the refresh token of an additional account (encrypted, in native.accountTokens).
+     * Changing native restarts the instance, which then starts the account.
+     */
+    async saveAccountRefreshToken(key, refreshToken) {
+        const id = `system.adapter.${this.namespace}`;
+        const obj = await this.getForeignObjectAsync(id);
+        if (!obj) throw new Error(`Cannot load instance object ${id}`);
+
+        obj.native = obj.native || {};
+        obj.native.accountTokens = { ...(obj.native.accountTokens || {}), [key]: this.encrypt(String(refreshToken)) };
+        await this.setForeignObjectAsync(id, obj);
+
+        this.log.info(`Refresh token of account "${key}" stored in instance configuration.`);
+    }
+
+    async clearAccountToken(name) {
+        const key = accountKey(name);
+        if (!key) throw new Error(`Invalid account name: ${name}`);
+
+        const account = this.accounts.get(key);
+        if (account) {
+            account.stop();
+            await this.setStateAsync(`${key}.info.rotatedRefreshToken`, '', true);
+            await this.setStateAsync(`${key}.info.connection`, false, true);
+        }
+
+        const id = `system.adapter.${this.namespace}`;
+        const obj = await this.getForeignObjectAsync(id);
+        if (!obj) return;
+
+        obj.native = obj.native || {};
+        const tokens = { ...(obj.native.accountTokens || {}) };
+        delete tokens[key];
+        obj.native.accountTokens = tokens;
+        await this.setForeignObjectAsync(id, obj);
+
+        this.log.info(`Spotify account "${key}" disconnected (refresh token cleared).`);
+    }
+
     async clearTokens() {
         const id = `system.adapter.${this.namespace}`;
         const obj = await this.getForeignObjectAsync(id);
@@ -780,7 +2711,12 @@ class SpotifyPremiumAdapter extends utils.Adapter {
         await this.setForeignObjectAsync(id, obj);
 
         this.config.refreshToken = '';
+        if (this.tokenManager) {
+            this.tokenManager.stop();
+            this.tokenManager = null;
+        }
         this.spotify = null;
+        await this.setStateAsync('info.rotatedRefreshToken', '', true);
         await this.setStateAsync('info.connection', false, true);
 
         this.log.info('Spotify connection removed (refresh token cleared).');
@@ -788,7 +2724,18 @@ class SpotifyPremiumAdapter extends utils.Adapter {
 
     onUnload(callback) {
         try {
-            if (this.pollTimer) this.clearInterval(this.pollTimer);
+            if (this.pollScheduler) this.pollScheduler.stop();
+            if (this.progressTimer) this.clearInterval(this.progressTimer);
+            if (this.tokenManager) this.tokenManager.stop();
+            for (const account of this.accounts.values()) account.stop();
+            if (this.historyTimer) this.clearInterval(this.historyTimer);
+            if (this.autoPlaylistTimer) this.clearInterval(this.autoPlaylistTimer);
+            if (this.bridge) this.bridge.stop().catch(() => {});
+            if (this.localApi) this.localApi.close();
+            this.commands.close();
+            this.fader.cancel();
+            // Only stop the timers; playback.sleepTimerEndsAt stays set so the timer resumes after a restart
+            this.cancelSleepTimer();
             if (this.server) {
                 try {
                     this.server.close();
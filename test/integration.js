@@ -0,0 +1,428 @@
+'use strict';
+
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+const { expect } = require('chai');
+const { tests } = require('@iobroker/testing');
+const { MockSpotify, CLIENT_ID, REFRESH_TOKEN } = require('./mockSpotify');
+
+const CALLBACK_PORT = 18_923;
+const CALLBACK_URL = `http://127.0.0.1:${CALLBACK_PORT}/callback`;
+
+/** Legacy instance encryption (XOR with the system secret); the controller decrypts encryptedNative with it. */
+function encrypt(secret, value) {
+    let result = '';
+    for (let i = 0; i < value.length; i++) {
+        result += String.fromCharCode(secret[i % secret.length].charCodeAt(0) ^ value.charCodeAt(i));
+    }
+    return result;
+}
+
+tests.integration(path.join(__dirname, '..'), {
+    defineAdditionalTests({ suite }) {
+        suite('Spotify (mock server)', (getHarness) => {
+            const mock = new MockSpotify();
+            let harness;
+
+            const fullId = (rel) => `${harness.adapterName}.0.${rel}`;
+            const getState = (rel) => harness.states.getStateAsync(fullId(rel));
+
+            async function waitForState(rel, predicate, timeoutMs = 10_000) {
+                const until = Date.now() + timeoutMs;
+                for (;;) {
+                    const state = await getState(rel);
+                    if (state && predicate(state)) return state;
+                    if (Date.now() > until) throw new Error(`${rel} not as expected, last state: ${JSON.stringify(state)}`);
+                    await delay(100);
+                }
+            }
+
+            /**
+             * Write a control state and wait for the Web API request and the ack.
+             * @returns {Promise<any>} the recorded request
+             */
+            async function command(rel, val, method, apiPath, match) {
+                const request = mock.waitForRequest(method, apiPath, { match });
+                await harness.states.setStateAsync(fullId(rel), { val, ack: false });
+                const req = await request;
+                await waitForState(rel, (s) => s.ack);
+                return req;
+            }
+
+            before(async function () {
+                this.timeout(60_000);
+                harness = getHarness();
+                await mock.start();
+
+                const systemConfig = await harness.objects.getObjectAsync('system.config');
+                await harness.changeAdapterConfig(harness.adapterName, {
+                    native: {
+                        clientId: CLIENT_ID,
+                        refreshToken: encrypt(systemConfig.native.secret, REFRESH_TOKEN),
+                        redirectUri: CALLBACK_URL,
+                        callbackBindIp: '127.0.0.1',
+                        accountsBaseUrl: mock.accountsBaseUrl,
+                        apiBaseUrl: mock.apiBaseUrl,
+                        pollInterval: 2,
+                        pollIntervalPaused: 2,
+                        pollIntervalIdle: 2,
+                        historyEnabled: false,
+                        sleepTimerFadeSeconds: 0,
+                        presets: [{ name: 'Morning', device: '', volume: 25, shuffle: 'off', repeat: '', uri: 'spotify:playlist:playlist1' }],
+                    },
+                });
+                await harness.startAdapterAndWait(true);
+            });
+
+            after(() => mock.stop());
+
+            it('authenticates with the refresh token and reports the connection', async () => {
+                expect((await getState('info.connection')).val).to.equal(true);
+                const [refresh] = mock.findRequests('POST', '/api/token');
+                expect(refresh.body).to.include({ grant_type: 'refresh_token', refresh_token: REFRESH_TOKEN, client_id: CLIENT_ID });
+                expect((await getState('info.tokenExpiresAt')).val).to.be.greaterThan(Date.now());
+            }).timeout(10_000);
+
+            it('maps the polled playback state to playback.*', async () => {
+                await waitForState('playback.track', (s) => s.val === 'First Song');
+                const values = {};
+                for (const key of ['available', 'isPlaying', 'artist', 'album', 'uri', 'contextUri', 'durationMs', 'progressMs', 'shuffle', 'repeat',
+                    'volume', 'deviceName', 'deviceId', 'deviceType', 'coverSmall', 'coverLarge', 'albumUri', 'isLiked', 'type']) {
+                    values[key] = (await getState(`playback.${key}`)).val;
+                }
+                expect(values).to.deep.include({
+                    available: true,
+                    isPlaying: false,
+                    artist: 'Artist A',
+                    album: 'Album One',
+                    uri: 'spotify:track:track1',
+                    contextUri: 'spotify:playlist:playlist1',
+                    durationMs: 200_000,
+                    progressMs: 30_000,
+                    shuffle: false,
+                    repeat: 'off',
+                    volume: 40,
+                    deviceName: 'Kitchen',
+                    deviceId: 'device-kitchen',
+                    deviceType: 'Speaker',
+                    coverSmall: 'https://img.test/album1-64.jpg',
+                    coverLarge: 'https://img.test/album1-640.jpg',
+                    albumUri: 'spotify:album:album1',
+                    isLiked: false,
+                    type: 'track',
+                });
+                const devices = JSON.parse(String((await getState('devices.json')).val));
+                expect(devices.map((d) => d.name)).to.deep.equal(['Kitchen', 'TV']);
+            }).timeout(15_000);
+
+            it('control.play', async () => {
+                await command('control.play', true, 'PUT', '/me/player/play');
+                expect(mock.player.isPlaying).to.equal(true);
+                expect((await getState('control.play')).val).to.equal(false);
+                await waitForState('playback.isPlaying', (s) => s.val === true);
+            }).timeout(15_000);
+
+            it('control.pause', async () => {
+                await command('control.pause', true, 'PUT', '/me/player/pause');
+                expect(mock.player.isPlaying).to.equal(false);
+                await waitForState('playback.isPlaying', (s) => s.val === false);
+            }).timeout(15_000);
+
+            it('control.toggle', async () => {
+                await command('control.toggle', true, 'PUT', '/me/player/play');
+                expect(mock.player.isPlaying).to.equal(true);
+                await waitForState('playback.isPlaying', (s) => s.val === true);
+            }).timeout(15_000);
+
+            it('control.next', async () => {
+                await command('control.next', true, 'POST', '/me/player/next');
+                await waitForState('playback.track', (s) => s.val === 'Second Song');
+            }).timeout(15_000);
+
+            it('control.previous', async () => {
+                await command('control.previous', true, 'POST', '/me/player/previous');
+                await waitForState('playback.track', (s) => s.val === 'First Song');
+            }).timeout(15_000);
+
+            it('control.volume', async () => {
+                const req = await command('control.volume', 55, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('55');
+                await waitForState('playback.volume', (s) => s.val === 55);
+            }).timeout(15_000);
+
+            it('control.volumeUp / control.volumeDown', async () => {
+                let req = await command('control.volumeUp', true, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('60');
+                await waitForState('playback.volume', (s) => s.val === 60);
+                req = await command('control.volumeDown', true, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('55');
+                await waitForState('playback.volume', (s) => s.val === 55);
+            }).timeout(15_000);
+
+            it('control.volumeStep', async () => {
+                const req = await command('control.volumeStep', -15, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('40');
+                await waitForState('playback.volume', (s) => s.val === 40);
+            }).timeout(15_000);
+
+            it('control.mute / control.unmute', async () => {
+                let req = await command('control.mute', true, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('0');
+                expect((await getState('playback.volumeBeforeMute')).val).to.equal(40);
+                await waitForState('playback.volume', (s) => s.val === 0);
+                req = await command('control.unmute', true, 'PUT', '/me/player/volume');
+                expect(req.query.volume_percent).to.equal('40');
+                await waitForState('playback.volume', (s) => s.val === 40);
+            }).timeout(15_000);
+
+            it('control.shuffle', async () => {
+                const req = await command('control.shuffle', true, 'PUT', '/me/player/shuffle');
+                expect(req.query.state).to.equal('true');
+                await waitForState('playback.shuffle', (s) => s.val === true);
+            }).timeout(15_000);
+
+            it('control.repeat', async () => {
+                const req = await command('control.repeat', 'TRACK', 'PUT', '/me/player/repeat');
+                expect(req.query.state).to.equal('track');
+                expect((await getState('control.repeat')).val).to.equal('track');
+                await waitForState('playback.repeat', (s) => s.val === 'track');
+            }).timeout(15_000);
+
+            it('control.seek', async () => {
+                const req = await command('control.seek', 90_000, 'PUT', '/me/player/seek');
+                expect(req.query.position_ms).to.equal('90000');
+                expect(mock.player.progressMs).to.equal(90_000);
+            }).timeout(15_000);
+
+            it('control.playUri', async () => {
+                const req = await command('control.playUri', 'https://open.spotify.com/track/track3?si=abc', 'PUT', '/me/player/play');
+                expect(req.body).to.deep.equal({ uris: ['spotify:track:track3'] });
+                expect((await getState('control.playUri')).val).to.equal('');
+                await waitForState('playback.track', (s) => s.val === 'Third Song');
+            }).timeout(15_000);
+
+            it('control.addToQueue', async () => {
+                const req = await command('control.addToQueue', 'spotify:track:track2', 'POST', '/me/player/queue');
+                expect(req.query.uri).to.equal('spotify:track:track2');
+                expect(mock.player.queue).to.deep.equal(['spotify:track:track2']);
+            }).timeout(15_000);
+
+            it('control.transferToDevice', async () => {
+                const req = await command('control.transferToDevice', 'TV', 'PUT', '/me/player');
+                expect(req.body).to.deep.equal({ device_ids: ['device-tv'], play: true });
+                await waitForState('playback.deviceName', (s) => s.val === 'TV');
+            }).timeout(15_000);
+
+            it('control.refreshDevices', async () => {
+                await command('control.refreshDevices', true, 'GET', '/me/player/devices');
+                expect((await getState('control.refreshDevices')).val).to.equal(false);
+            }).timeout(15_000);
+
+            it('control.search', async () => {
+                const req = await command('control.search', 'song', 'GET', '/search');
+                expect(req.query).to.include({ q: 'song', type: 'track' });
+                const results = JSON.parse(String((await getState('search.results')).val));
+                expect(results.map((r) => r.uri)).to.deep.equal(['spotify:track:track1', 'spotify:track:track2', 'spotify:track:track3']);
+            }).timeout(15_000);
+
+            it('control.searchType', async () => {
+                await harness.states.setStateAsync(fullId('control.searchType'), { val: 'nonsense', ack: false });
+                await waitForState('control.searchType', (s) => s.ack && s.val === 'track');
+                await harness.states.setStateAsync(fullId('control.searchType'), { val: 'Album', ack: false });
+                await waitForState('control.searchType', (s) => s.ack && s.val === 'album');
+                await harness.states.setStateAsync(fullId('control.searchType'), { val: 'track', ack: false });
+                await waitForState('control.searchType', (s) => s.ack && s.val === 'track');
+            }).timeout(15_000);
+
+            it('control.playSearch', async () => {
+                const req = await command('control.playSearch', 'third', 'PUT', '/me/player/play');
+                expect(req.body).to.deep.equal({ uris: ['spotify:track:track3'] });
+            }).timeout(15_000);
+
+            it('control.fadeTo', async () => {
+                await waitForState('playback.volume', (s) => s.val === 20);
+                const last = mock.waitForRequest('PUT', '/me/player/volume', { match: (r) => r.query.volume_percent === '30' });
+                await harness.states.setStateAsync(fullId('control.fadeTo'), { val: '30,2', ack: false });
+                await last;
+                await waitForState('control.fadeTo', (s) => s.ack && s.val === '30,2');
+                expect(mock.findRequests('PUT', '/me/player/volume').length).to.be.greaterThan(1);
+            }).timeout(15_000);
+
+            it('control.sleepTimer', async () => {
+                await harness.states.setStateAsync(fullId('control.sleepTimer'), { val: 10, ack: false });
+                await waitForState('control.sleepTimer', (s) => s.ack && s.val === 10);
+                const endsAt = (await getState('playback.sleepTimerEndsAt')).val;
+                expect(endsAt).to.be.within(Date.now() + 9 * 60_000, Date.now() + 10 * 60_000);
+
+                await harness.states.setStateAsync(fullId('control.sleepTimer'), { val: 0, ack: false });
+                await waitForState('control.sleepTimer', (s) => s.ack && s.val === 0);
+                expect((await getState('playback.sleepTimerEndsAt')).val).to.equal(0);
+            }).timeout(15_000);
+
+            it('control.preset', async () => {
+                const play = mock.waitForRequest('PUT', '/me/player/play', { match: (r) => r.body.context_uri === 'spotify:playlist:playlist1' });
+                await command('control.preset', 'morning', 'PUT', '/me/player/volume', (r) => r.query.volume_percent === '25');
+                await play;
+                const result = await waitForState('presets.lastResult', (s) => JSON.parse(String(s.val || '{}')).preset === 'Morning');
+                expect(JSON.parse(String(result.val)).ok).to.equal(true);
+                expect(mock.player.shuffle).to.equal(false);
+            }).timeout(15_000);
+
+            it('control.refreshLibrary', async () => {
+                await command('control.refreshLibrary', true, 'GET', '/me/playlists');
+                await waitForState('library.playlists', (s) => JSON.parse(String(s.val || '[]')).some((p) => p.name === 'Test Mix'));
+            }).timeout(20_000);
+
+            it('control.saveCurrentToPlaylist', async () => {
+                mock.player.itemUri = 'spotify:track:track2';
+                const req = await command('control.saveCurrentToPlaylist', 'Test Mix', 'POST', '/playlists/playlist1/tracks');
+                expect(req.body).to.deep.equal({ uris: ['spotify:track:track2'] });
+                expect((await getState('control.saveCurrentToPlaylist')).val).to.equal('');
+            }).timeout(15_000);
+
+            it('control.removeCurrentFromPlaylist', async () => {
+                // Empty value = the playlist currently playing
+                mock.player.contextUri = 'spotify:playlist:playlist1';
+                const req = await command('control.removeCurrentFromPlaylist', '', 'DELETE', '/playlists/playlist1/tracks');
+                expect(req.body).to.deep.equal({ tracks: [{ uri: 'spotify:track:track2' }] });
+                expect(mock.playlists.get('playlist1').items).to.not.include('spotify:track:track2');
+            }).timeout(15_000);
+
+            it('control.likeCurrent / control.unlikeCurrent', async () => {
+                mock.player.itemUri = 'spotify:track:track1';
+                await waitForState('playback.uri', (s) => s.val === 'spotify:track:track1');
+
+                let req = await command('control.likeCurrent', true, 'PUT', '/me/tracks');
+                expect(req.body).to.deep.equal({ ids: ['track1'] });
+                await waitForState('playback.isLiked', (s) => s.val === true);
+
+                req = await command('control.unlikeCurrent', true, 'DELETE', '/me/tracks');
+                expect(req.body).to.deep.equal({ ids: ['track1'] });
+                await waitForState('playback.isLiked', (s) => s.val === false);
+            }).timeout(15_000);
+
+            it('reports failed commands in info.lastCommandError and leaves the state unacknowledged', async () => {
+                mock.failNext('PUT', '/me/player/shuffle', 403, { body: { error: { status: 403, message: 'Restriction violated' } } });
+                await harness.states.setStateAsync(fullId('control.shuffle'), { val: false, ack: false });
+                const error = await waitForState('info.lastCommandError', (s) => String(s.val).includes('control.shuffle'));
+                expect(JSON.parse(String(error.val)).error).to.include('Restriction violated');
+                expect((await getState('control.shuffle')).ack).to.equal(false);
+                expect((await getState('info.lastCommandMs')).val).to.be.a('number');
+                expect((await getState('info.queueLength')).val).to.be.a('number');
+            }).timeout(15_000);
+
+            it('reports playback as unavailable when no device is active', async () => {
+                mock.devices.forEach((d) => (d.is_active = false));
+                await waitForState('playback.available', (s) => s.val === false);
+                await command('control.transferToDevice', 'Kitchen', 'PUT', '/me/player');
+                await waitForState('playback.available', (s) => s.val === true);
+            }).timeout(20_000);
+
+            it('completes the OAuth login via the callback server (PKCE)', async () => {
+                // Opening the callback URL without code starts the login
+                let res = await fetch(CALLBACK_URL, { redirect: 'manual' });
+                expect(res.status).to.equal(302);
+                const authorizeUrl = new URL(res.headers.get('location'));
+                expect(authorizeUrl.origin + authorizeUrl.pathname).to.equal(`${mock.accountsBaseUrl}authorize`);
+                expect(authorizeUrl.searchParams.get('code_challenge_method')).to.equal('S256');
+                expect(authorizeUrl.searchParams.get('redirect_uri')).to.equal(CALLBACK_URL);
+                expect(authorizeUrl.searchParams.get('scope')).to.include('user-modify-playback-state');
+
+                // The mock "logs in" and redirects back with code and state
+                res = await fetch(authorizeUrl, { redirect: 'manual' });
+                expect(res.status).to.equal(302);
+                const exchanged = mock.waitForRequest('POST', '/api/token', { match: (r) => r.body.grant_type === 'authorization_code' });
+                // The client is re-initialized with the new refresh token
+                const refreshed = mock.waitForRequest('POST', '/api/token', {
+                    match: (r) => r.body.grant_type === 'refresh_token' && r.body.refresh_token !== REFRESH_TOKEN,
+                });
+                res = await fetch(res.headers.get('location'));
+                expect(await res.text()).to.include('Spotify ist jetzt verbunden');
+
+                const exchange = await exchanged;
+                expect(exchange.body).to.include({ client_id: CLIENT_ID, redirect_uri: CALLBACK_URL });
+                expect(mock.refreshTokens.has((await refreshed).body.refresh_token)).to.equal(true);
+
+                // A replayed callback (state already used) is rejected
+                res = await fetch(`${CALLBACK_URL}?code=code-x&state=${authorizeUrl.searchParams.get('state')}`);
+                expect(await res.text()).to.include('Invalid or expired state');
+            }).timeout(20_000);
+        });
+
+        suite('Spotify (rotating refresh tokens)', (getHarness) => {
+            const mock = new MockSpotify({ rotateRefreshTokens: true });
+            let harness;
+            let secret;
+
+            const getState = (rel) => harness.states.getStateAsync(`${harness.adapterName}.0.${rel}`);
+
+            async function waitForState(rel, predicate, timeoutMs = 10_000) {
+                const until = Date.now() + timeoutMs;
+                for (;;) {
+                    const state = await getState(rel);
+                    if (state && predicate(state)) return state;
+                    if (Date.now() > until) throw new Error(`${rel} not as expected, last state: ${JSON.stringify(state)}`);
+                    await delay(100);
+                }
+            }
+
+            /** Configure the refresh token (as stored by an OAuth login) and start the adapter. */
+            async function startWith(refreshToken) {
+                await harness.changeAdapterConfig(harness.adapterName, {
+                    native: {
+                        clientId: CLIENT_ID,
+                        refreshToken: encrypt(secret, refreshToken),
+                        redirectUri: CALLBACK_URL,
+                        callbackBindIp: '127.0.0.1',
+                        accountsBaseUrl: mock.accountsBaseUrl,
+                        apiBaseUrl: mock.apiBaseUrl,
+                        historyEnabled: false,
+                    },
+                });
+                await harness.startAdapterAndWait(true);
+            }
+
+            const refreshWith = (token) => mock.waitForRequest('POST', '/api/token', {
+                match: (r) => r.body.grant_type === 'refresh_token' && r.body.refresh_token === token,
+            });
+
+            before(async function () {
+                this.timeout(60_000);
+                harness = getHarness();
+                await mock.start();
+                secret = (await harness.objects.getObjectAsync('system.config')).native.secret;
+            });
+
+            after(() => mock.stop());
+
+            it('persists the rotated token encrypted and starts with it after a restart', async () => {
+                const first = refreshWith(REFRESH_TOKEN);
+                await startWith(REFRESH_TOKEN);
+                await first;
+                const stored = await waitForState('info.rotatedRefreshToken', (s) => !!s.val);
+                const [rotated] = [...mock.refreshTokens];
+                expect(rotated).not.to.equal(REFRESH_TOKEN);
+                expect(String(stored.val)).not.to.include(rotated);
+
+                // The configured token was revoked by the rotation: only the stored one works now
+                await harness.stopAdapter();
+                const second = refreshWith(rotated);
+                await harness.startAdapterAndWait(true);
+                await second;
+                expect((await getState('info.authError')).val).to.equal('');
+                await harness.stopAdapter();
+            }).timeout(30_000);
+
+            it('ignores the stored token after a new OAuth login', async () => {
+                const before = (await getState('info.rotatedRefreshToken')).val;
+                // Token issued by the new login; the stored rotated token belongs to the old one
+                mock.refreshTokens.add('refresh-login');
+                const refresh = refreshWith('refresh-login');
+                await startWith('refresh-login');
+                await refresh;
+                await waitForState('info.rotatedRefreshToken', (s) => !!s.val && s.val !== before);
+                expect((await getState('info.authError')).val).to.equal('');
+            }).timeout(30_000);
+        });
+    },
+});
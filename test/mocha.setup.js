@@ -0,0 +1,9 @@
+'use strict';
+
+// Don't silently swallow unhandled rejections
+process.on('unhandledRejection', (e) => {
+    throw e;
+});
+
+const { use } = require('chai');
+use(require('chai-as-promised'));
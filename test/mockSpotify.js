@@ -0,0 +1,542 @@
+'use strict';
+
+/**
+ * Local emulation of the Spotify accounts service and Web API for the tests.
+ *   GET  /authorize       redirects to redirect_uri with ?code&state, remembers the PKCE challenge
+ *   POST /api/token       authorization_code (checks code_verifier) and refresh_token grants;
+ *                         refresh tokens rotate if rotateRefreshTokens is set
+ *   /v1/me/player/…       player endpoints on an in-memory player (devices, playback, queue)
+ *   /v1/me, /v1/me/tracks…, /v1/me/playlists, /v1/playlists/{id}/tracks, /v1/users/{id}/playlists, /v1/search
+ * Unknown or expired access tokens get 401, player commands without an active device 404
+ * NO_ACTIVE_DEVICE; any other answer (429 with Retry-After, 500, …) can be forced with failNext().
+ * Every request is recorded in `requests` as { method, path, query, body } (path without /v1).
+ *
+ * Standalone: `node test/mockSpotify.js [port]` prints the base URLs for accountsBaseUrl / apiBaseUrl.
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
+const CLIENT_ID = 'test-client';
+const REFRESH_TOKEN = 'refresh-0';
+const USER = { id: 'testuser', display_name: 'Test User', type: 'user', uri: 'spotify:user:testuser' };
+
+function track(id, name, artist, albumId, albumName, durationMs) {
+    return {
+        id,
+        name,
+        type: 'track',
+        uri: `spotify:track:${id}`,
+        duration_ms: durationMs,
+        is_local: false,
+        artists: [{ id: `artist-${artist.toLowerCase().replace(/\W+/g, '')}`, name: artist, type: 'artist' }],
+        album: {
+            id: albumId,
+            name: albumName,
+            type: 'album',
+            uri: `spotify:album:${albumId}`,
+            images: [
+                { url: `https://img.test/${albumId}-640.jpg`, width: 640, height: 640 },
+                { url: `https://img.test/${albumId}-300.jpg`, width: 300, height: 300 },
+                { url: `https://img.test/${albumId}-64.jpg`, width: 64, height: 64 },
+            ],
+        },
+    };
+}
+
+function initialState() {
+    const tracks = [
+        track('track1', 'First Song', 'Artist A', 'album1', 'Album One', 200_000),
+        track('track2', 'Second Song', 'Artist A', 'album1', 'Album One', 180_000),
+        track('track3', 'Third Song', 'Artist B', 'album2', 'Album Two', 240_000),
+    ];
+    return {
+        tracks: new Map(tracks.map((t) => [t.uri, t])),
+        devices: [
+            { id: 'device-kitchen', name: 'Kitchen', type: 'Speaker', is_active: true, is_private_session: false, is_restricted: false, volume_percent: 40, supports_volume: true },
+            { id: 'device-tv', name: 'TV', type: 'TV', is_active: false, is_private_session: false, is_restricted: false, volume_percent: 20, supports_volume: true },
+        ],
+        player: {
+            isPlaying: false,
+            itemUri: 'spotify:track:track1',
+            contextUri: 'spotify:playlist:playlist1',
+            progressMs: 30_000,
+            shuffle: false,
+            repeat: 'off',
+            queue: [],
+        },
+        playlists: new Map([
+            ['playlist1', { id: 'playlist1', name: 'Test Mix', owner: { ...USER }, public: false, description: '', items: tracks.map((t) => t.uri) }],
+        ]),
+        liked: new Map([['track2', '2026-01-01T00:00:00Z']]), // track id -> added_at
+    };
+}
+
+function base64Url(buf) {
+    return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+class MockSpotify extends EventEmitter {
+    /**
+     * @param {{rotateRefreshTokens?: boolean, accessTokenLifetimeSec?: number}} [opts]
+     */
+    constructor(opts = {}) {
+        super();
+        this.rotateRefreshTokens = !!opts.rotateRefreshTokens;
+        this.accessTokenLifetimeSec = opts.accessTokenLifetimeSec || 3600;
+        this.server = null;
+        this.port = 0;
+        this.reset();
+    }
+
+    /** Restore the initial catalog, devices, player and tokens; forget recorded requests. */
+    reset() {
+        Object.assign(this, initialState());
+        this.requests = [];
+        this.forced = [];
+        this.refreshTokens = new Set([REFRESH_TOKEN]);
+        this.accessTokens = new Map(); // token -> expiresAt
+        this.codes = new Map(); // code -> { challenge, redirectUri, clientId }
+        this.counter = 0;
+    }
+
+    get accountsBaseUrl() {
+        return `http://127.0.0.1:${this.port}/`;
+    }
+
+    get apiBaseUrl() {
+        return `http://127.0.0.1:${this.port}/v1/`;
+    }
+
+    /** @param {number} [port] 0 = any free port */
+    start(port = 0) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        server.closeAllConnections?.();
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    /**
+     * Answer the next matching request(s) with a fixed response instead of the emulation.
+     * @param {string} method
+     * @param {string} path e.g. '/me/player/play' (Web API, without /v1) or '/api/token'
+     * @param {number} status
+     * @param {{body?: any, headers?: object, times?: number, delayMs?: number}} [opts] delayMs: answer late (timeouts)
+     */
+    failNext(method, path, status, opts = {}) {
+        this.forced.push({ method, path, status, body: opts.body, headers: opts.headers || {}, times: opts.times || 1, delayMs: opts.delayMs || 0 });
+    }
+
+    /** Invalidate all issued access tokens (next API call gets a 401). */
+    expireAccessTokens() {
+        this.accessTokens.clear();
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} path
+     */
+    findRequests(method, path) {
+        return this.requests.filter((r) => r.method === method && r.path === path);
+    }
+
+    /**
+     * Resolve with the first request (recorded from now on) matching method/path and predicate.
+     * @param {string} method
+     * @param {string} path
+     * @param {{timeoutMs?: number, match?: (req: any) => boolean}} [opts]
+     */
+    waitForRequest(method, path, { timeoutMs = 10_000, match = () => true } = {}) {
+        return new Promise((resolve, reject) => {
+            const onRequest = (r) => {
+                if (r.method !== method || r.path !== path || !match(r)) return;
+                clearTimeout(timer);
+                this.off('request', onRequest);
+                resolve(r);
+            };
+            const timer = setTimeout(() => {
+                this.off('request', onRequest);
+                reject(new Error(`No ${method} ${path} within ${timeoutMs} ms`));
+            }, timeoutMs);
+            this.on('request', onRequest);
+        });
+    }
+
+    get activeDevice() {
+        return this.devices.find((d) => d.is_active) || null;
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url || '/', `http://${req.headers.host || '127.0.0.1'}`);
+        const chunks = [];
+        req.on('data', (c) => chunks.push(c));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body = {};
+            if (text) {
+                const type = String(req.headers['content-type'] || '');
+                body = type.includes('application/x-www-form-urlencoded')
+                    ? Object.fromEntries(new URLSearchParams(text))
+                    : (() => {
+                        try {
+                            return JSON.parse(text);
+                        } catch {
+                            return {};
+                        }
+                    })();
+            }
+
+            const isApi = url.pathname.startsWith('/v1/');
+            const record = {
+                method: req.method,
+                path: isApi ? url.pathname.slice(3) : url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                body,
+                headers: req.headers,
+            };
+            this.requests.push(record);
+            this.emit('request', record);
+
+            const send = (status, data, headers = {}) => {
+                const payload = data === undefined ? '' : JSON.stringify(data);
+                res.writeHead(status, { ...(payload ? { 'Content-Type': 'application/json' } : {}), ...headers });
+                res.end(payload);
+            };
+
+            const forced = this.forced.find((f) => f.method === record.method && f.path === record.path);
+            if (forced) {
+                if (--forced.times <= 0) this.forced.splice(this.forced.indexOf(forced), 1);
+                const body = forced.body === undefined ? { error: { status: forced.status, message: `Forced ${forced.status}` } } : forced.body;
+                setTimeout(() => {
+                    if (!res.destroyed) send(forced.status, body, forced.headers);
+                }, forced.delayMs);
+                return;
+            }
+
+            try {
+                if (req.method === 'GET' && url.pathname === '/authorize') return this.authorize(url, res);
+                if (req.method === 'POST' && url.pathname === '/api/token') return send(200, this.token(req, body));
+                if (!isApi) throw new HttpError(404, 'Not found');
+
+                const auth = String(req.headers.authorization || '');
+                const expiresAt = this.accessTokens.get(auth.replace(/^Bearer /, ''));
+                if (!auth.startsWith('Bearer ') || !expiresAt || expiresAt < Date.now()) {
+                    throw new HttpError(401, 'The access token expired');
+                }
+
+                const result = this.api(req.method, record.path, record.query, body);
+                if (result === undefined) {
+                    send(204);
+                } else {
+                    send(result.status || 200, result.data);
+                }
+            } catch (e) {
+                if (!(e instanceof HttpError)) {
+                    send(500, { error: { status: 500, message: e?.message || String(e) } });
+                    return;
+                }
+                if (record.path === '/api/token') {
+                    send(e.status, { error: e.extra.error || 'invalid_request', error_description: e.message });
+                } else {
+                    send(e.status, { error: { status: e.status, message: e.message, ...e.extra } });
+                }
+            }
+        });
+    }
+
+    authorize(url, res) {
+        const redirectUri = url.searchParams.get('redirect_uri');
+        if (url.searchParams.get('client_id') !== CLIENT_ID || !redirectUri) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('INVALID_CLIENT');
+            return;
+        }
+        const code = `code-${++this.counter}`;
+        this.codes.set(code, { challenge: url.searchParams.get('code_challenge'), redirectUri, clientId: CLIENT_ID });
+        const target = new URL(redirectUri);
+        target.searchParams.set('code', code);
+        target.searchParams.set('state', url.searchParams.get('state') || '');
+        res.writeHead(302, { Location: target.toString() });
+        res.end();
+    }
+
+    issueTokens(refreshToken) {
+        const accessToken = `access-${++this.counter}`;
+        this.accessTokens.set(accessToken, Date.now() + this.accessTokenLifetimeSec * 1000);
+        const data = { access_token: accessToken, token_type: 'Bearer', expires_in: this.accessTokenLifetimeSec, scope: '' };
+        if (refreshToken) data.refresh_token = refreshToken;
+        return data;
+    }
+
+    token(req, body) {
+        const basic = String(req.headers.authorization || '');
+        const clientId = body.client_id || (basic.startsWith('Basic ') ? Buffer.from(basic.slice(6), 'base64').toString('utf8').split(':')[0] : '');
+        if (clientId !== CLIENT_ID) throw new HttpError(400, 'Invalid client', { error: 'invalid_client' });
+
+        if (body.grant_type === 'authorization_code') {
+            const entry = this.codes.get(body.code);
+            this.codes.delete(body.code);
+            if (!entry || entry.redirectUri !== body.redirect_uri) throw new HttpError(400, 'Invalid authorization code', { error: 'invalid_grant' });
+            if (base64Url(crypto.createHash('sha256').update(String(body.code_verifier || '')).digest()) !== entry.challenge) {
+                throw new HttpError(400, 'code_verifier was incorrect', { error: 'invalid_grant' });
+            }
+            const refreshToken = `refresh-${++this.counter}`;
+            this.refreshTokens.add(refreshToken);
+            return this.issueTokens(refreshToken);
+        }
+
+        if (body.grant_type === 'refresh_token') {
+            if (!this.refreshTokens.has(body.refresh_token)) throw new HttpError(400, 'Refresh token revoked', { error: 'invalid_grant' });
+            if (!this.rotateRefreshTokens) return this.issueTokens();
+            this.refreshTokens.delete(body.refresh_token);
+            const refreshToken = `refresh-${++this.counter}`;
+            this.refreshTokens.add(refreshToken);
+            return this.issueTokens(refreshToken);
+        }
+
+        throw new HttpError(400, `Unsupported grant_type ${body.grant_type}`, { error: 'unsupported_grant_type' });
+    }
+
+    /** Device for a player command: ?device_id or the active one. */
+    targetDevice(query) {
+        if (query.device_id) {
+            const device = this.devices.find((d) => d.id === query.device_id);
+            if (!device) throw new HttpError(404, 'Device not found');
+            return device;
+        }
+        const active = this.activeDevice;
+        if (!active) throw new HttpError(404, 'Player command failed: No active device found', { reason: 'NO_ACTIVE_DEVICE' });
+        return active;
+    }
+
+    activate(device) {
+        for (const d of this.devices) d.is_active = d === device;
+    }
+
+    contextUris() {
+        const id = String(this.player.contextUri || '').split(':').pop();
+        return this.playlists.get(id)?.items || [...this.tracks.keys()];
+    }
+
+    page(items, query, path) {
+        const limit = Math.max(1, Number(query.limit) || 20);
+        const offset = Math.max(0, Number(query.offset) || 0);
+        const next = offset + limit < items.length ? `${this.apiBaseUrl}${path.slice(1)}?offset=${offset + limit}&limit=${limit}` : null;
+        return { items: items.slice(offset, offset + limit), total: items.length, limit, offset, next };
+    }
+
+    playlistJson(p) {
+        return {
+            id: p.id,
+            name: p.name,
+            type: 'playlist',
+            uri: `spotify:playlist:${p.id}`,
+            owner: p.owner,
+            public: p.public,
+            description: p.description,
+            images: [],
+            tracks: { total: p.items.length },
+        };
+    }
+
+    playbackJson() {
+        const device = this.activeDevice;
+        if (!device) return undefined;
+        const item = this.tracks.get(this.player.itemUri) || null;
+        return {
+            device,
+            shuffle_state: this.player.shuffle,
+            repeat_state: this.player.repeat,
+            timestamp: Date.now(),
+            context: this.player.contextUri ? { type: this.player.contextUri.split(':')[1], uri: this.player.contextUri } : null,
+            progress_ms: this.player.progressMs,
+            item,
+            currently_playing_type: item ? 'track' : 'unknown',
+            is_playing: this.player.isPlaying,
+        };
+    }
+
+    /**
+     * @returns {{status?: number, data?: any} | undefined} undefined = 204
+     */
+    api(method, path, query, body) {
+        const p = this.player;
+        const route = `${method} ${path}`;
+
+        switch (route) {
+            case 'GET /me':
+                return { data: USER };
+            case 'GET /me/player': {
+                const data = this.playbackJson();
+                return data ? { data } : undefined;
+            }
+            case 'GET /me/player/devices':
+                return { data: { devices: this.devices } };
+            case 'PUT /me/player': {
+                const device = this.devices.find((d) => d.id === body?.device_ids?.[0]);
+                if (!device) throw new HttpError(404, 'Device not found');
+                this.activate(device);
+                if (body.play) p.isPlaying = true;
+                return undefined;
+            }
+            case 'PUT /me/player/play': {
+                const device = this.targetDevice(query);
+                this.activate(device);
+                if (Array.isArray(body?.uris) && body.uris.length) {
+                    p.itemUri = body.uris[0];
+                    p.contextUri = '';
+                    p.progressMs = Number(body.position_ms) || 0;
+                } else if (body?.context_uri) {
+                    p.contextUri = body.context_uri;
+                    p.itemUri = this.contextUris()[0] || '';
+                    p.progressMs = Number(body.position_ms) || 0;
+                }
+                p.isPlaying = true;
+                return undefined;
+            }
+            case 'PUT /me/player/pause':
+                this.targetDevice(query);
+                p.isPlaying = false;
+                return undefined;
+            case 'POST /me/player/next':
+            case 'POST /me/player/previous': {
+                this.targetDevice(query);
+                if (route.endsWith('next') && p.queue.length) {
+                    p.itemUri = p.queue.shift();
+                } else {
+                    const uris = this.contextUris();
+                    const index = uris.indexOf(p.itemUri);
+                    const step = route.endsWith('next') ? 1 : -1;
+                    p.itemUri = uris[(index + step + uris.length) % uris.length];
+                }
+                p.progressMs = 0;
+                return undefined;
+            }
+            case 'PUT /me/player/volume': {
+                const volume = Number(query.volume_percent);
+                if (!Number.isFinite(volume) || volume < 0 || volume > 100) throw new HttpError(400, 'Invalid volume_percent');
+                this.targetDevice(query).volume_percent = volume;
+                return undefined;
+            }
+            case 'PUT /me/player/shuffle':
+                this.targetDevice(query);
+                p.shuffle = query.state === 'true';
+                return undefined;
+            case 'PUT /me/player/repeat':
+                if (!['off', 'track', 'context'].includes(query.state)) throw new HttpError(400, 'Invalid repeat state');
+                this.targetDevice(query);
+                p.repeat = query.state;
+                return undefined;
+            case 'PUT /me/player/seek':
+                this.targetDevice(query);
+                p.progressMs = Math.max(0, Number(query.position_ms) || 0);
+                return undefined;
+            case 'POST /me/player/queue':
+                this.targetDevice(query);
+                if (!query.uri) throw new HttpError(400, 'Missing uri');
+                p.queue.push(query.uri);
+                return undefined;
+            case 'GET /me/player/queue':
+                return { data: { currently_playing: this.tracks.get(p.itemUri) || null, queue: p.queue.map((uri) => this.tracks.get(uri)).filter(Boolean) } };
+            case 'GET /me/player/recently-played':
+                return { data: { items: [], next: null, cursors: null, limit: 50 } };
+            case 'GET /me/tracks/contains':
+                return { data: String(query.ids || '').split(',').filter(Boolean).map((id) => this.liked.has(id)) };
+            case 'PUT /me/tracks':
+                for (const id of body?.ids || []) this.liked.set(id, new Date().toISOString());
+                return undefined;
+            case 'DELETE /me/tracks':
+                for (const id of body?.ids || []) this.liked.delete(id);
+                return undefined;
+            case 'GET /me/tracks': {
+                const saved = [...this.liked.entries()]
+                    .map(([id, addedAt]) => ({ added_at: addedAt, track: this.tracks.get(`spotify:track:${id}`) }))
+                    .filter((s) => s.track)
+                    .sort((a, b) => Date.parse(b.added_at) - Date.parse(a.added_at));
+                return { data: this.page(saved, query, path) };
+            }
+            case 'GET /me/playlists':
+                return { data: this.page([...this.playlists.values()].map((pl) => this.playlistJson(pl)), query, path) };
+            case 'GET /me/albums':
+                return { data: this.page([], query, path) };
+            case 'GET /me/following':
+                return { data: { artists: { items: [], next: null, cursors: { after: null }, total: 0 } } };
+            case 'GET /search': {
+                const q = String(query.q || '').toLowerCase();
+                const type = String(query.type || 'track');
+                const items = type === 'track' ? [...this.tracks.values()].filter((t) => t.name.toLowerCase().includes(q) || t.artists[0].name.toLowerCase().includes(q)) : [];
+                return { data: { [`${type}s`]: this.page(items, query, path) } };
+            }
+            default:
+                break;
+        }
+
+        let m = /^\/playlists\/([^/]+)\/tracks$/.exec(path);
+        if (m) {
+            const playlist = this.playlists.get(decodeURIComponent(m[1]));
+            if (!playlist) throw new HttpError(404, 'Not found.');
+            if (method === 'GET') {
+                return { data: this.page(playlist.items.map((uri) => ({ added_at: '2026-01-01T00:00:00Z', track: this.tracks.get(uri) || null })), query, path) };
+            }
+            if (method === 'POST') {
+                playlist.items.push(...(body?.uris || []));
+                return { status: 201, data: { snapshot_id: `snap-${++this.counter}` } };
+            }
+            if (method === 'DELETE') {
+                const remove = new Set((body?.tracks || []).map((t) => t.uri));
+                playlist.items = playlist.items.filter((uri) => !remove.has(uri));
+                return { data: { snapshot_id: `snap-${++this.counter}` } };
+            }
+        }
+
+        m = /^\/users\/([^/]+)\/playlists$/.exec(path);
+        if (m && method === 'POST') {
+            if (decodeURIComponent(m[1]) !== USER.id) throw new HttpError(403, 'You cannot create a playlist for another user');
+            const id = `playlist${++this.counter}`;
+            const playlist = { id, name: String(body?.name || ''), owner: { ...USER }, public: !!body?.public, description: String(body?.description || ''), items: [] };
+            this.playlists.set(id, playlist);
+            return { status: 201, data: this.playlistJson(playlist) };
+        }
+
+        m = /^\/albums\/([^/]+)\/tracks$/.exec(path);
+        if (m && method === 'GET') {
+            const items = [...this.tracks.values()].filter((t) => t.album.id === decodeURIComponent(m[1]));
+            return { data: this.page(items, query, path) };
+        }
+
+        throw new HttpError(404, `Service not found: ${method} ${path}`);
+    }
+}
+
+module.exports = { MockSpotify, CLIENT_ID, REFRESH_TOKEN, USER };
+
+if (require.main === module) {
+    const mock = new MockSpotify({ rotateRefreshTokens: process.env.ROTATE === '1' });
+    mock.start(Number(process.argv[2]) || 0).then(() => {
+        console.log(`Mock Spotify listening (client id "${CLIENT_ID}", refresh token "${REFRESH_TOKEN}")`);
+        console.log(`  accountsBaseUrl: ${mock.accountsBaseUrl}`);
+        console.log(`  apiBaseUrl:      ${mock.apiBaseUrl}`);
+        mock.on('request', (r) => console.log(`${r.method} ${r.path} ${new URLSearchParams(r.query)}`));
+    });
+}
@@ -0,0 +1,7 @@
+'use strict';
+
+const path = require('node:path');
+const { tests } = require('@iobroker/testing');
+
+// Validate package.json and io-package.json
+tests.packageFiles(path.join(__dirname, '..'));
@@ -0,0 +1,88 @@
+'use strict';
+
+const { expect } = require('chai');
+const { periodStart, parseTime, selectFromHistory, selectFromLiked, diffPlaylist } = require('../../lib/autoPlaylists');
+
+/** Local time on Wednesday, 2024-01-17. */
+function at(hours, minutes = 0, dayOffset = 0) {
+    return new Date(2024, 0, 17 + dayOffset, hours, minutes).getTime();
+}
+
+function play(uri, ts, extra = {}) {
+    return { uri, ts, device: 'Kitchen', listenedMs: 180_000, skipped: false, ...extra };
+}
+
+describe('autoPlaylists', () => {
+    describe('periodStart()', () => {
+        const now = at(15, 30);
+
+        it('starts weeks on Monday and months on the 1st (local midnight)', () => {
+            expect(periodStart({ period: 'week' }, now)).to.equal(new Date(2024, 0, 15).getTime());
+            expect(periodStart({ period: 'month' }, now)).to.equal(new Date(2024, 0, 1).getTime());
+        });
+
+        it('goes back <days> days (default 30)', () => {
+            expect(periodStart({ period: 'days', days: 7 }, now)).to.equal(now - 7 * 86_400_000);
+            expect(periodStart({ period: 'days' }, now)).to.equal(now - 30 * 86_400_000);
+        });
+    });
+
+    describe('parseTime()', () => {
+        it('parses HH:MM and rejects everything else', () => {
+            expect(parseTime('7:05')).to.equal(425);
+            expect(parseTime(' 22:00 ')).to.equal(1320);
+            expect(parseTime('24:00')).to.be.NaN;
+            expect(parseTime('')).to.be.NaN;
+        });
+    });
+
+    describe('selectFromHistory()', () => {
+        const entries = [
+            play('spotify:track:a', at(8)),
+            play('spotify:track:b', at(9)),
+            play('spotify:track:a', at(10), { listenedMs: 60_000 }),
+            play('spotify:track:c', at(23), { device: 'Bedroom' }),
+            play('spotify:track:skipped', at(23, 30), { skipped: true }),
+            play('spotify:playlist:notAnItem', at(23, 45)),
+        ];
+
+        it('returns the most recent plays first, without duplicates, skips or non-item URIs', () => {
+            expect(selectFromHistory(entries, { sort: 'recent' })).to.deep.equal(['spotify:track:c', 'spotify:track:a', 'spotify:track:b']);
+        });
+
+        it('sorts by play count with "top"', () => {
+            const more = [...entries, play('spotify:track:b', at(11)), play('spotify:track:b', at(12))];
+            expect(selectFromHistory(more, { sort: 'top' })).to.deep.equal(['spotify:track:b', 'spotify:track:a', 'spotify:track:c']);
+        });
+
+        it('filters by device (case-insensitive) and limits the result', () => {
+            expect(selectFromHistory(entries, { device: 'kitchen' })).to.deep.equal(['spotify:track:a', 'spotify:track:b']);
+            expect(selectFromHistory(entries, { limit: 1 })).to.deep.equal(['spotify:track:c']);
+        });
+
+        it('filters by time window, also across midnight', () => {
+            expect(selectFromHistory(entries, { timeFrom: '08:30', timeTo: '10:00' })).to.deep.equal(['spotify:track:b']);
+            const night = [...entries, play('spotify:track:d', at(1, 0, 1))];
+            expect(selectFromHistory(night, { timeFrom: '22:00', timeTo: '02:00' })).to.deep.equal(['spotify:track:d', 'spotify:track:c']);
+        });
+    });
+
+    describe('selectFromLiked()', () => {
+        it('keeps tracks liked within the period, without local files', () => {
+            const saved = [
+                { added_at: new Date(at(12)).toISOString(), track: { uri: 'spotify:track:new' } },
+                { added_at: new Date(at(11)).toISOString(), track: { uri: 'spotify:local:x', is_local: true } },
+                { added_at: new Date(at(12, 0, -1)).toISOString(), track: { uri: 'spotify:track:yesterday' } },
+                { added_at: new Date(at(12, 0, -10)).toISOString(), track: { uri: 'spotify:track:old' } },
+            ];
+            expect(selectFromLiked(saved, { period: 'week' }, at(15))).to.deep.equal(['spotify:track:new', 'spotify:track:yesterday']);
+        });
+    });
+
+    describe('diffPlaylist()', () => {
+        it('adds missing and removes surplus URIs', () => {
+            expect(diffPlaylist(['a', 'b', 'c'], ['c', 'd', 'a'])).to.deep.equal({ add: ['d'], remove: ['b'] });
+            expect(diffPlaylist(['a', 'a'], ['a'])).to.deep.equal({ add: [], remove: [] });
+        });
+    });
+});
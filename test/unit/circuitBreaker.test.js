@@ -0,0 +1,74 @@
+'use strict';
+
+const { expect } = require('chai');
+const { CircuitBreaker, CircuitOpenError } = require('../../lib/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+    /** Let the open period expire without waiting for it. */
+    function expire(breaker) {
+        breaker.retryAt = Date.now() - 1;
+    }
+
+    it('opens after <threshold> consecutive failures and then fails fast', () => {
+        const breaker = new CircuitBreaker({ threshold: 3, openMs: 30_000 });
+        const states = [];
+        breaker.on('stateChange', (e) => states.push(e.state));
+
+        breaker.recordFailure(new Error('ETIMEDOUT'));
+        breaker.recordFailure(new Error('ETIMEDOUT'));
+        expect(breaker.state).to.equal('closed');
+        expect(() => breaker.check()).not.to.throw();
+
+        breaker.recordFailure(new Error('503'));
+        expect(breaker.state).to.equal('open');
+        expect(breaker.openUntil).to.be.closeTo(Date.now() + 30_000, 1_000);
+        expect(breaker.lastError).to.equal('503');
+        expect(() => breaker.check()).to.throw(CircuitOpenError).with.property('code', 'ECIRCUITOPEN');
+        expect(states).to.deep.equal(['closed', 'closed', 'open']);
+    });
+
+    it('starts counting again after a success', () => {
+        const breaker = new CircuitBreaker({ threshold: 2 });
+        breaker.recordFailure(new Error('x'));
+        breaker.recordSuccess();
+        breaker.recordFailure(new Error('x'));
+        expect(breaker.state).to.equal('closed');
+        expect(breaker.failures).to.equal(1);
+    });
+
+    it('lets one probe through after the open period and closes on success', () => {
+        const breaker = new CircuitBreaker({ threshold: 1, openMs: 10_000 });
+        breaker.recordFailure(new Error('x'));
+        expire(breaker);
+
+        breaker.check();
+        expect(breaker.state).to.equal('halfOpen');
+        expect(() => breaker.check()).to.throw(CircuitOpenError);
+
+        breaker.recordSuccess();
+        expect(breaker.state).to.equal('closed');
+        expect(breaker.openUntil).to.equal(0);
+        expect(() => breaker.check()).not.to.throw();
+    });
+
+    it('reopens with a doubled wait after a failed probe, up to maxOpenMs', () => {
+        const breaker = new CircuitBreaker({ threshold: 1, openMs: 10_000, maxOpenMs: 30_000 });
+        breaker.recordFailure(new Error('x'));
+
+        const waits = [];
+        for (let i = 0; i < 3; i++) {
+            expire(breaker);
+            breaker.check();
+            breaker.recordFailure(new Error('x'));
+            expect(breaker.state).to.equal('open');
+            waits.push(breaker.currentOpenMs);
+        }
+        expect(waits).to.deep.equal([20_000, 30_000, 30_000]);
+
+        // A successful probe resets the wait
+        expire(breaker);
+        breaker.check();
+        breaker.recordSuccess();
+        expect(breaker.currentOpenMs).to.equal(10_000);
+    });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const { expect } = require('chai');
+const { CommandQueue } = require('../../lib/commandQueue');
+
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createQueue(opts = {}) {
+    return new CommandQueue({ adapter: { log: silentLog, setTimeout, clearTimeout }, ...opts });
+}
+
+/** Promise that is settled from outside, to hold a job "running". */
+function deferred() {
+    let resolve;
+    const promise = new Promise((res) => (resolve = res));
+    return { promise, resolve };
+}
+
+describe('CommandQueue', () => {
+    it('runs commands before polls before background jobs, FIFO within a priority', async () => {
+        const queue = createQueue();
+        const gate = deferred();
+        const order = [];
+        const job = (name) => async () => {
+            order.push(name);
+        };
+
+        const blocker = queue.push(() => gate.promise);
+        const done = Promise.all([
+            queue.push(job('library'), { priority: 'background' }),
+            queue.push(job('poll'), { priority: 'poll' }),
+            queue.push(job('play')),
+            queue.push(job('volume'), { priority: 'command' }),
+        ]);
+        expect(queue.length).to.equal(5);
+
+        gate.resolve();
+        await blocker;
+        await done;
+        expect(order).to.deep.equal(['play', 'volume', 'poll', 'library']);
+        expect(queue.length).to.equal(0);
+    });
+
+    it('supersedes pending jobs with the same key and settles all callers with the newer outcome', async () => {
+        const queue = createQueue();
+        const gate = deferred();
+        const sent = [];
+        const setVolume = (v) => async () => {
+            sent.push(v);
+            return v;
+        };
+
+        queue.push(() => gate.promise);
+        const results = Promise.all([
+            queue.push(setVolume(10), { key: 'volume' }),
+            queue.push(setVolume(20), { key: 'volume' }),
+            queue.push(setVolume(30), { key: 'volume' }),
+            queue.push(setVolume(40)),
+        ]);
+
+        gate.resolve();
+        expect(await results).to.deep.equal([30, 30, 30, 40]);
+        expect(sent).to.deep.equal([30, 40]);
+    });
+
+    it('rejects callers on timeout but keeps the queue blocked until the job ends', async () => {
+        const queue = createQueue();
+        const gate = deferred();
+        const order = [];
+        const events = [];
+        queue.on('done', (e) => events.push(e));
+
+        const slow = queue.push(async () => {
+            await gate.promise;
+            order.push('slow');
+        }, { label: 'slow', timeoutMs: 20 });
+        const next = queue.push(async () => order.push('next'));
+
+        await expect(slow).to.be.rejectedWith(/slow timed out/).and.eventually.have.property('code', 'ECMDTIMEOUT');
+        expect(order).to.deep.equal([]);
+        expect(queue.running?.label).to.equal('slow');
+
+        gate.resolve();
+        await next;
+        expect(order).to.deep.equal(['slow', 'next']);
+        expect(events.map((e) => e.label)).to.deep.equal(['slow', '']);
+        expect(events[0].error?.code).to.equal('ECMDTIMEOUT');
+    });
+
+    it('passes job errors to the caller and continues with the next job', async () => {
+        const queue = createQueue();
+        const failing = queue.push(async () => {
+            throw new Error('boom');
+        });
+        const next = queue.push(async () => 'ok');
+
+        await expect(failing).to.be.rejectedWith('boom');
+        expect(await next).to.equal('ok');
+    });
+
+    it('cancels pending jobs on close and rejects new ones', async () => {
+        const queue = createQueue();
+        const gate = deferred();
+        const running = queue.push(() => gate.promise.then(() => 'finished'));
+        const pending = queue.push(async () => 'never', { label: 'pending' });
+
+        queue.close();
+        await expect(pending).to.be.rejectedWith(/pending cancelled/).and.eventually.have.property('code', 'ECMDCANCELLED');
+        await expect(queue.push(async () => 'late')).to.be.rejectedWith(/cancelled/);
+
+        gate.resolve();
+        expect(await running).to.equal('finished');
+    });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+const { expect } = require('chai');
+const { EventBridge, convertPayload } = require('../../lib/eventBridge');
+
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+/** Minimal adapter: config, timers without delay, control objects and recorded state writes. */
+function createAdapter(config, objects = {}) {
+    return {
+        namespace: 'spotify-premium.0',
+        config,
+        log: silentLog,
+        writes: [],
+        delays: [],
+        setTimeout(fn, ms) {
+            this.delays.push(ms);
+            return setTimeout(fn, 0);
+        },
+        clearTimeout(timer) {
+            clearTimeout(timer);
+        },
+        async getObjectAsync(id) {
+            return objects[id] || null;
+        },
+        async setStateAsync(id, val, ack) {
+            this.writes.push({ id, val, ack });
+        },
+    };
+}
+
+class FakeMqttClient extends EventEmitter {
+    constructor(url, opts) {
+        super();
+        this.url = url;
+        this.opts = opts;
+        this.connected = false;
+        this.published = [];
+        this.subscriptions = [];
+        this.ended = false;
+    }
+
+    publish(topic, payload, opts) {
+        this.published.push({ topic, payload: String(payload), retain: !!opts?.retain });
+    }
+
+    async publishAsync(topic, payload, opts) {
+        this.publish(topic, payload, opts);
+    }
+
+    subscribe(topic) {
+        this.subscriptions.push(topic);
+    }
+
+    async endAsync() {
+        this.ended = true;
+    }
+
+    connect() {
+        this.connected = true;
+        this.emit('connect');
+    }
+}
+
+const EVENT = { type: 'trackChanged', ts: 1_700_000_000_000, uri: 'spotify:track:track1', track: 'First Song' };
+const NOW_PLAYING = { isPlaying: true, track: 'First Song', artist: 'Artist A' };
+
+describe('EventBridge', () => {
+    describe('webhooks', () => {
+        let server;
+        let url;
+        let received;
+        let statuses;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', (c) => chunks.push(c));
+                req.on('end', () => {
+                    received.push({ method: req.method, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+                    res.writeHead(statuses.shift() || 204);
+                    res.end('ok');
+                    server.emit('received');
+                });
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}/hook`;
+        });
+
+        after(() => new Promise((resolve) => server.close(resolve)));
+
+        beforeEach(() => {
+            received = [];
+            statuses = [];
+        });
+
+        function waitForRequests(count) {
+            return new Promise((resolve) => {
+                const check = () => {
+                    if (received.length < count) return;
+                    server.off('received', check);
+                    resolve(received);
+                };
+                server.on('received', check);
+                check();
+            });
+        }
+
+        it('posts the event JSON with an HMAC-SHA256 signature', async () => {
+            const bridge = new EventBridge({ adapter: createAdapter({ webhookUrls: url, webhookSecret: 'top-secret' }) });
+            bridge.publish(EVENT, NOW_PLAYING);
+
+            const [req] = await waitForRequests(1);
+            expect(req.method).to.equal('POST');
+            expect(JSON.parse(req.body)).to.deep.equal(EVENT);
+            expect(req.headers['content-type']).to.equal('application/json');
+            const expected = crypto.createHmac('sha256', 'top-secret').update(req.body).digest('hex');
+            expect(req.headers['x-signature-256']).to.equal(`sha256=${expected}`);
+            await bridge.stop();
+        });
+
+        it('sends to every URL and omits the signature without a secret', async () => {
+            const bridge = new EventBridge({ adapter: createAdapter({ webhookUrls: `${url}?a=1\n${url}?b=2` }) });
+            bridge.publish(EVENT, NOW_PLAYING);
+
+            const requests = await waitForRequests(2);
+            expect(requests.map((r) => r.headers['x-signature-256'])).to.deep.equal([undefined, undefined]);
+            await bridge.stop();
+        });
+
+        it('retries 5xx with back-off but not 4xx', async () => {
+            const adapter = createAdapter({ webhookUrls: url });
+            const bridge = new EventBridge({ adapter });
+
+            statuses = [503, 500, 204];
+            bridge.publish(EVENT, NOW_PLAYING);
+            await waitForRequests(3);
+            expect(adapter.delays).to.deep.equal([2_000, 4_000]);
+
+            received = [];
+            statuses = [400];
+            bridge.publish(EVENT, NOW_PLAYING);
+            await waitForRequests(1);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(received).to.have.length(1);
+            expect(adapter.delays).to.have.length(2);
+            await bridge.stop();
+        });
+    });
+
+    describe('MQTT', () => {
+        const objects = {
+            'control.volume': { type: 'state', common: { type: 'number', write: true } },
+            'control.pause': { type: 'state', common: { type: 'boolean', write: true } },
+            'control.playUri': { type: 'state', common: { type: 'string', write: true } },
+        };
+
+        async function startBridge() {
+            const adapter = createAdapter({ mqttEnabled: true, mqttUrl: 'mqtt://broker:1883', mqttTopic: 'home/spotify/' }, objects);
+            let client;
+            const bridge = new EventBridge({ adapter, mqttConnect: (u, opts) => (client = new FakeMqttClient(u, opts)) });
+            await bridge.start();
+            return { adapter, bridge, client };
+        }
+
+        it('announces itself and subscribes to control topics on connect', async () => {
+            const { bridge, client } = await startBridge();
+            expect(client.url).to.equal('mqtt://broker:1883');
+            expect(client.opts.will).to.include({ topic: 'home/spotify/online', payload: 'false', retain: true });
+
+            client.connect();
+            expect(client.published).to.deep.equal([{ topic: 'home/spotify/online', payload: 'true', retain: true }]);
+            expect(client.subscriptions).to.deep.equal(['home/spotify/control/+/set']);
+            await bridge.stop();
+        });
+
+        it('publishes events and the retained now-playing snapshot', async () => {
+            const { bridge, client } = await startBridge();
+            // Snapshot from before the connection is republished on connect
+            bridge.publishNowPlaying(NOW_PLAYING);
+            client.connect();
+            bridge.publish(EVENT, null);
+
+            expect(client.published.slice(1)).to.deep.equal([
+                { topic: 'home/spotify/nowplaying', payload: JSON.stringify(NOW_PLAYING), retain: true },
+                { topic: 'home/spotify/event/trackChanged', payload: JSON.stringify(EVENT), retain: false },
+                { topic: 'home/spotify/nowplaying', payload: JSON.stringify({ isPlaying: false }), retain: true },
+            ]);
+            await bridge.stop();
+        });
+
+        it('maps <topic>/control/<name>/set to control states with the state type', async () => {
+            const { adapter, bridge } = await startBridge();
+            await bridge.onMqttCommand('home/spotify/control/volume/set', ' 35 ');
+            await bridge.onMqttCommand('home/spotify/control/pause/set', 'on');
+            await bridge.onMqttCommand('home/spotify/control/playUri/set', 'spotify:album:album1');
+            await bridge.onMqttCommand('home/spotify/control/unknown/set', 'x');
+            await bridge.onMqttCommand('other/control/volume/set', '10');
+
+            expect(adapter.writes).to.deep.equal([
+                { id: 'control.volume', val: 35, ack: false },
+                { id: 'control.pause', val: true, ack: false },
+                { id: 'control.playUri', val: 'spotify:album:album1', ack: false },
+            ]);
+            await expect(bridge.onMqttCommand('home/spotify/control/volume/set', 'loud')).to.be.rejectedWith(/not a number/);
+            await bridge.stop();
+        });
+
+        it('marks itself offline and disconnects on stop', async () => {
+            const { bridge, client } = await startBridge();
+            client.connect();
+            await bridge.stop();
+            expect(client.published.at(-1)).to.deep.equal({ topic: 'home/spotify/online', payload: 'false', retain: true });
+            expect(client.ended).to.equal(true);
+        });
+    });
+
+    describe('convertPayload()', () => {
+        it('converts to the state type', () => {
+            expect(convertPayload('1', 'boolean')).to.equal(true);
+            expect(convertPayload('false', 'boolean')).to.equal(false);
+            expect(convertPayload('42', 'number')).to.equal(42);
+            expect(convertPayload(' text ', 'string')).to.equal('text');
+        });
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { expect } = require('chai');
+const { computeStats, wasSkipped } = require('../../lib/history');
+
+describe('history', () => {
+    describe('computeStats()', () => {
+        it('sums listening time and counts plays and skips', () => {
+            const stats = computeStats([
+                { title: 'First Song', artist: 'Artist A', listenedMs: 180_000, skipped: false },
+                { title: 'Second Song', artist: 'Artist B', listenedMs: 20_000, skipped: true },
+                { title: 'First Song', artist: 'Artist A', listenedMs: 100_000, skipped: false },
+            ]);
+            expect(stats).to.include({ minutes: 5, tracks: 3, skipped: 1 });
+        });
+
+        it('ranks artists by listening time (first artist only) and tracks by play count', () => {
+            const stats = computeStats([
+                { title: 'Long Song', artist: 'Artist B, Artist C', listenedMs: 600_000 },
+                { title: 'Short Song', artist: 'Artist A', listenedMs: 60_000 },
+                { title: 'Short Song', artist: 'Artist A', listenedMs: 60_000 },
+            ]);
+            expect(stats.topArtist).to.equal('Artist B');
+            expect(stats.topTrack).to.equal('Short Song – Artist A');
+        });
+
+        it('returns empty values without entries', () => {
+            expect(computeStats([])).to.deep.equal({ minutes: 0, tracks: 0, skipped: 0, topArtist: '', topTrack: '' });
+        });
+    });
+
+    describe('wasSkipped()', () => {
+        it('counts a track as skipped if it stopped more than 15 s before its end', () => {
+            expect(wasSkipped(60_000, 200_000)).to.equal(true);
+            expect(wasSkipped(190_000, 200_000)).to.equal(false);
+            // Unknown duration (e.g. some episodes)
+            expect(wasSkipped(1_000, 0)).to.equal(false);
+        });
+    });
+});
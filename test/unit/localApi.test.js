@@ -0,0 +1,76 @@
+'use strict';
+
+const http = require('node:http');
+const { expect } = require('chai');
+const { LocalApi } = require('../../lib/localApi');
+
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+const API_KEY = 'test-key-0123456789';
+
+describe('LocalApi', () => {
+    let server;
+    let api;
+    let base;
+    let commands;
+
+    before(async () => {
+        commands = [];
+        api = new LocalApi({
+            adapter: { log: silentLog, setInterval, clearInterval },
+            apiKey: API_KEY,
+            getState: async () => ({ track: 'First Song' }),
+            getDevices: async () => [{ id: 'dev1', name: 'Kitchen' }],
+            runCommand: async (stateId, val) => {
+                commands.push({ stateId, val });
+            },
+        });
+        server = http.createServer((req, res) => api.handle(req, res, new URL(req.url, 'http://localhost')));
+        api.attach(server);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        api.close();
+        return new Promise((resolve) => server.close(resolve));
+    });
+
+    it('accepts the key as Bearer token or X-Api-Key header', async () => {
+        let res = await fetch(`${base}/api/state`, { headers: { Authorization: `Bearer ${API_KEY}` } });
+        expect(res.status).to.equal(200);
+        expect(await res.json()).to.deep.equal({ track: 'First Song' });
+
+        res = await fetch(`${base}/api/devices`, { headers: { 'X-Api-Key': API_KEY } });
+        expect(await res.json()).to.deep.equal([{ id: 'dev1', name: 'Kitchen' }]);
+    });
+
+    it('rejects REST requests with the key in the query string', async () => {
+        const res = await fetch(`${base}/api/state?apiKey=${API_KEY}`);
+        expect(res.status).to.equal(401);
+        await res.arrayBuffer();
+
+        const post = await fetch(`${base}/api/pause?apiKey=${API_KEY}`, { method: 'POST' });
+        expect(post.status).to.equal(401);
+        await post.arrayBuffer();
+        expect(commands).to.deep.equal([]);
+    });
+
+    it('accepts the query string key for the WebSocket upgrade only', async () => {
+        const upgrade = (path) => new Promise((resolve, reject) => {
+            const req = http.request(`${base}${path}`, { headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' } });
+            req.on('upgrade', (res, socket) => {
+                socket.destroy();
+                resolve(res.statusCode);
+            });
+            req.on('response', (res) => {
+                res.resume();
+                resolve(res.statusCode);
+            });
+            req.on('error', reject);
+            req.end();
+        });
+
+        expect(await upgrade(`/api/ws?apiKey=${API_KEY}`)).to.equal(101);
+        expect(await upgrade('/api/ws?apiKey=wrong')).to.equal(401);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { expect } = require('chai');
+const { diffPlayback } = require('../../lib/playbackEvents');
+
+const T0 = 1_700_000_000_000;
+
+function snapshot(extra = {}) {
+    return {
+        at: T0,
+        isPlaying: true,
+        uri: 'spotify:track:track1',
+        title: 'First Song',
+        artist: 'Artist A',
+        contextUri: 'spotify:album:album1',
+        deviceId: 'dev1',
+        deviceName: 'Kitchen',
+        progressMs: 10_000,
+        durationMs: 200_000,
+        ...extra,
+    };
+}
+
+describe('diffPlayback()', () => {
+    it('reports nothing without changes', () => {
+        expect(diffPlayback(snapshot(), snapshot({ at: T0 + 5_000, progressMs: 15_000 }))).to.deep.equal([]);
+    });
+
+    it('reports start of playback with track, device and context', () => {
+        const events = diffPlayback(null, snapshot());
+        expect(events.map((e) => e.type)).to.deep.equal(['trackChanged', 'playbackStarted', 'deviceChanged', 'contextChanged']);
+        expect(events[0]).to.deep.include({ ts: T0, old: null, skipped: false });
+        expect(events[1].new).to.deep.equal({ uri: 'spotify:track:track1', title: 'First Song', artist: 'Artist A', device: 'Kitchen' });
+        expect(events[2]).to.deep.include({ old: null, new: { id: 'dev1', name: 'Kitchen' } });
+    });
+
+    it('reports pause and device changes', () => {
+        expect(diffPlayback(snapshot(), snapshot({ isPlaying: false }))).to.deep.equal([
+            { type: 'playbackStopped', ts: T0, old: { uri: 'spotify:track:track1', title: 'First Song', artist: 'Artist A', device: 'Kitchen' }, new: null },
+        ]);
+        expect(diffPlayback(snapshot(), snapshot({ deviceId: 'dev2', deviceName: 'Bedroom' }))).to.deep.equal([
+            { type: 'deviceChanged', ts: T0, old: { id: 'dev1', name: 'Kitchen' }, new: { id: 'dev2', name: 'Bedroom' } },
+        ]);
+    });
+
+    it('marks a track change as skipped from the extrapolated position of the previous track', () => {
+        const next = { uri: 'spotify:track:track2', title: 'Second Song' };
+
+        // 10 s + 20 s played of 200 s: skipped
+        const [skipped] = diffPlayback(snapshot(), snapshot({ ...next, at: T0 + 20_000, progressMs: 0 }));
+        expect(skipped).to.deep.include({ type: 'trackChanged', skipped: true });
+        expect(skipped.old.uri).to.equal('spotify:track:track1');
+
+        // 190 s + 5 s played: ended normally
+        const [ended] = diffPlayback(snapshot({ progressMs: 190_000 }), snapshot({ ...next, at: T0 + 5_000, progressMs: 0 }));
+        expect(ended.skipped).to.equal(false);
+
+        // Paused at 170 s: the position does not advance while paused, so 30 s were left
+        const [paused] = diffPlayback(snapshot({ isPlaying: false, progressMs: 170_000 }), snapshot({ ...next, at: T0 + 60_000, isPlaying: false }));
+        expect(paused.skipped).to.equal(true);
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const { expect } = require('chai');
+const { computePollDelay } = require('../../lib/pollScheduler');
+
+describe('computePollDelay()', () => {
+    const intervals = { playingSec: 10, pausedSec: 30, idleSec: 120 };
+
+    it('uses the interval for playing, paused and no active device', () => {
+        expect(computePollDelay({ available: true, isPlaying: true, remainingMs: 0 }, intervals)).to.equal(10_000);
+        expect(computePollDelay({ available: true, isPlaying: false, remainingMs: 5_000 }, intervals)).to.equal(30_000);
+        expect(computePollDelay({ available: false, isPlaying: false, remainingMs: 0 }, intervals)).to.equal(120_000);
+    });
+
+    it('polls shortly after the end of the current track', () => {
+        expect(computePollDelay({ available: true, isPlaying: true, remainingMs: 4_000 }, intervals)).to.equal(4_750);
+        // Ends after the next regular poll anyway
+        expect(computePollDelay({ available: true, isPlaying: true, remainingMs: 60_000 }, intervals)).to.equal(10_000);
+    });
+
+    it('never polls more often than once per second', () => {
+        expect(computePollDelay({ available: true, isPlaying: true, remainingMs: 10 }, intervals)).to.equal(1_000);
+        expect(computePollDelay({ available: true, isPlaying: true, remainingMs: 0 }, { playingSec: 0.2, pausedSec: 0, idleSec: 0 })).to.equal(1_000);
+    });
+
+    it('waits for a rate limit or an open circuit to end', () => {
+        const status = { available: true, isPlaying: true, remainingMs: 4_000 };
+        expect(computePollDelay({ ...status, rateLimitedUntil: Date.now() + 60_000 }, intervals)).to.be.closeTo(60_000, 500);
+        expect(computePollDelay({ ...status, circuitOpenUntil: Date.now() + 90_000 }, intervals)).to.be.closeTo(90_000, 500);
+        // Ended already or shorter than the regular delay: no effect
+        expect(computePollDelay({ ...status, rateLimitedUntil: Date.now() - 1_000, circuitOpenUntil: Date.now() + 2_000 }, intervals)).to.equal(4_750);
+    });
+});
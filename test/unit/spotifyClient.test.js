@@ -0,0 +1,263 @@
+'use strict';
+
+const { expect } = require('chai');
+const { SpotifyClient, normalizeUri } = require('../../lib/spotifyClient');
+const { MockSpotify, CLIENT_ID, REFRESH_TOKEN } = require('../mockSpotify');
+
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('SpotifyClient', () => {
+    const mock = new MockSpotify();
+
+    /** @param {object} [opts] */
+    function createClient(opts = {}) {
+        return new SpotifyClient({
+            clientId: CLIENT_ID,
+            refreshToken: REFRESH_TOKEN,
+            log: silentLog,
+            accountsBaseUrl: mock.accountsBaseUrl,
+            apiBaseUrl: mock.apiBaseUrl,
+            maxRetries: 2,
+            ...opts,
+        });
+    }
+
+    before(() => mock.start());
+    after(() => mock.stop());
+    beforeEach(() => {
+        mock.reset();
+        mock.rotateRefreshTokens = false;
+    });
+
+    describe('token handling', () => {
+        it('refreshes the access token with client_id in the body (PKCE)', async () => {
+            const client = createClient();
+            await client.ensureAccessToken();
+
+            const [req] = mock.findRequests('POST', '/api/token');
+            expect(req.body).to.include({ grant_type: 'refresh_token', refresh_token: REFRESH_TOKEN, client_id: CLIENT_ID });
+            expect(req.headers.authorization).to.equal(undefined);
+            expect(client.accessToken).to.match(/^access-/);
+            expect(client.expiresAt).to.be.greaterThan(Date.now());
+        });
+
+        it('uses Basic auth when a client secret is configured', async () => {
+            const client = createClient({ clientSecret: 'secret' });
+            await client.ensureAccessToken();
+
+            const [req] = mock.findRequests('POST', '/api/token');
+            expect(req.body.client_id).to.equal(undefined);
+            expect(req.headers.authorization).to.equal(`Basic ${Buffer.from(`${CLIENT_ID}:secret`).toString('base64')}`);
+        });
+
+        it('shares one refresh between concurrent requests', async () => {
+            const client = createClient();
+            await Promise.all([client.getDevices(), client.getDevices(), client.getMe()]);
+            expect(mock.findRequests('POST', '/api/token')).to.have.length(1);
+        });
+
+        it('emits refreshTokenRotated and uses the new token next time', async () => {
+            mock.rotateRefreshTokens = true;
+            const client = createClient();
+            const rotated = [];
+            client.on('refreshTokenRotated', (token) => rotated.push(token));
+
+            await client.refreshAccessToken();
+            await client.refreshAccessToken();
+
+            expect(rotated).to.have.length(2);
+            expect(client.refreshToken).to.equal(rotated[1]);
+            expect(mock.refreshTokens.has(REFRESH_TOKEN)).to.equal(false);
+        });
+
+        it('reports a revoked refresh token as invalid_grant', async () => {
+            const client = createClient({ refreshToken: 'revoked' });
+            const err = await client.ensureAccessToken().then(() => null, (e) => e);
+            expect(err).to.be.an('error');
+            expect(err.status).to.equal(400);
+            expect(err.code).to.equal('invalid_grant');
+        });
+
+        it('refreshes once and retries after a 401', async () => {
+            const client = createClient();
+            await client.getDevices();
+            mock.expireAccessTokens();
+
+            const devices = await client.getDevices();
+            expect(devices).to.have.length(2);
+            expect(mock.findRequests('POST', '/api/token')).to.have.length(2);
+        });
+
+        it('gives up after a second 401', async () => {
+            const client = createClient();
+            mock.failNext('GET', '/me/player/devices', 401, { times: 2 });
+            const err = await client.getDevices().then(() => null, (e) => e);
+            expect(err.status).to.equal(401);
+            expect(mock.findRequests('GET', '/me/player/devices')).to.have.length(2);
+        });
+    });
+
+    describe('player endpoints', () => {
+        it('maps the playback state and returns null for 204 (no active device)', async () => {
+            const client = createClient();
+            const state = await client.getPlaybackState();
+            expect(state.item.uri).to.equal('spotify:track:track1');
+            expect(state.device.name).to.equal('Kitchen');
+            expect(mock.requests.at(-1).query.additional_types).to.equal('track,episode');
+
+            mock.devices.forEach((d) => (d.is_active = false));
+            expect(await client.getPlaybackState()).to.equal(null);
+        });
+
+        it('sends commands with the expected method, path and parameters', async () => {
+            const client = createClient();
+            await client.play({ deviceId: 'device-tv' });
+            await client.pause();
+            await client.next();
+            await client.previous();
+            await client.setVolume(130);
+            await client.setShuffle(true);
+            await client.setRepeat('context');
+            await client.seek(12_345);
+            await client.addToQueue('spotify:track:track3');
+            await client.transferPlayback('device-kitchen', { play: false });
+
+            const calls = mock.requests.filter((r) => r.path !== '/api/token').map((r) => `${r.method} ${r.path} ${new URLSearchParams(r.query)}`);
+            expect(calls).to.deep.equal([
+                'PUT /me/player/play device_id=device-tv',
+                'PUT /me/player/pause ',
+                'POST /me/player/next ',
+                'POST /me/player/previous ',
+                'PUT /me/player/volume volume_percent=100',
+                'PUT /me/player/shuffle state=true',
+                'PUT /me/player/repeat state=context',
+                'PUT /me/player/seek position_ms=12345',
+                'POST /me/player/queue uri=spotify%3Atrack%3Atrack3',
+                'PUT /me/player ',
+            ]);
+            expect(mock.requests.at(-1).body).to.deep.equal({ device_ids: ['device-kitchen'], play: false });
+            expect(mock.player).to.include({ shuffle: true, repeat: 'context', progressMs: 12_345 });
+            expect(mock.devices.find((d) => d.is_active).id).to.equal('device-kitchen');
+        });
+
+        it('plays track lists as uris and everything else as context_uri', async () => {
+            const client = createClient();
+            await client.playUri(['spotify:track:track2', 'https://open.spotify.com/intl-de/track/track3?si=abc']);
+            expect(mock.requests.at(-1).body).to.deep.equal({ uris: ['spotify:track:track2', 'spotify:track:track3'] });
+
+            await client.playUri('https://open.spotify.com/playlist/playlist1?si=x');
+            expect(mock.requests.at(-1).body).to.deep.equal({ context_uri: 'spotify:playlist:playlist1' });
+
+            await expect(client.playUri(['spotify:track:track1', 'spotify:album:album1'])).to.be.rejectedWith(/only contain track/);
+        });
+
+        it('exposes NO_ACTIVE_DEVICE as a 404 with the reason', async () => {
+            mock.devices.forEach((d) => (d.is_active = false));
+            const err = await createClient().play().then(() => null, (e) => e);
+            expect(err.status).to.equal(404);
+            expect(err.reason).to.equal('NO_ACTIVE_DEVICE');
+            expect(err.data.error.reason).to.equal('NO_ACTIVE_DEVICE');
+        });
+    });
+
+    describe('library endpoints', () => {
+        it('follows pages until next is empty', async () => {
+            const tracks = await createClient().getPlaylistTracks('playlist1', { limit: 2 });
+            expect(tracks.map((t) => t.track.id)).to.deep.equal(['track1', 'track2', 'track3']);
+            expect(mock.findRequests('GET', '/playlists/playlist1/tracks').map((r) => r.query.offset)).to.deep.equal(['0', '2']);
+        });
+
+        it('creates playlists, edits them and manages Liked Songs', async () => {
+            const client = createClient();
+            const playlist = await client.createPlaylist('New list', { description: 'test' });
+            expect(playlist.owner.id).to.equal('testuser');
+
+            const uris = Array.from({ length: 150 }, (_, i) => `spotify:track:x${i}`);
+            await client.addToPlaylist(playlist.id, uris);
+            expect(mock.findRequests('POST', `/playlists/${playlist.id}/tracks`).map((r) => r.body.uris.length)).to.deep.equal([100, 50]);
+
+            await client.removeFromPlaylist(playlist.id, uris.slice(0, 10));
+            expect(mock.playlists.get(playlist.id).items).to.have.length(140);
+
+            expect(await client.containsSavedTracks(['track1', 'track2'])).to.deep.equal([false, true]);
+            await client.saveTracks(['track1']);
+            await client.removeSavedTracks(['track2']);
+            expect(await client.containsSavedTracks(['track1', 'track2'])).to.deep.equal([true, false]);
+        });
+
+        it('returns the items of the requested search type', async () => {
+            const items = await createClient().search('second');
+            expect(items.map((t) => t.uri)).to.deep.equal(['spotify:track:track2']);
+            expect(mock.requests.at(-1).query).to.include({ type: 'track', market: 'from_token' });
+        });
+    });
+
+    describe('error handling', () => {
+        it('waits for Retry-After on 429 and retries', async () => {
+            const client = createClient();
+            const limited = [];
+            client.on('rateLimited', (e) => limited.push(e.retryAfterSec));
+            mock.failNext('GET', '/me/player/devices', 429, { headers: { 'Retry-After': '1' } });
+
+            expect(await client.getDevices()).to.have.length(2);
+            expect(limited).to.deep.equal([1]);
+        });
+
+        it('fails fast if Retry-After is longer than maxRetryAfterSec', async () => {
+            const client = createClient({ maxRetryAfterSec: 5 });
+            mock.failNext('GET', '/me/player/devices', 429, { headers: { 'Retry-After': '120' } });
+
+            const err = await client.getDevices().then(() => null, (e) => e);
+            expect(err.status).to.equal(429);
+            expect(err.retryAfterSec).to.equal(120);
+            expect(mock.findRequests('GET', '/me/player/devices')).to.have.length(1);
+        });
+
+        it('retries 5xx for idempotent requests only', async () => {
+            const client = createClient();
+            mock.failNext('GET', '/me/player/devices', 502);
+            expect(await client.getDevices()).to.have.length(2);
+            expect(mock.findRequests('GET', '/me/player/devices')).to.have.length(2);
+
+            // "next" must not be applied twice
+            mock.failNext('POST', '/me/player/next', 500);
+            const err = await client.next().then(() => null, (e) => e);
+            expect(err.status).to.equal(500);
+            expect(mock.findRequests('POST', '/me/player/next')).to.have.length(1);
+        });
+
+        it('times out hanging requests with ETIMEDOUT', async () => {
+            const client = createClient({ timeoutMs: 200, maxRetries: 0 });
+            await client.ensureAccessToken();
+            mock.failNext('GET', '/me/player/devices', 200, { delayMs: 1_000, body: { devices: [] } });
+
+            const err = await client.getDevices().then(() => null, (e) => e);
+            expect(err.code).to.equal('ETIMEDOUT');
+        });
+
+        it('opens the circuit after repeated failures and fails fast', async () => {
+            const client = createClient({ maxRetries: 0, breaker: { threshold: 2 } });
+            const states = [];
+            client.on('apiStatus', (s) => states.push(s.state));
+            mock.failNext('GET', '/me/player/devices', 503, { times: 2 });
+
+            await expect(client.getDevices()).to.be.rejected;
+            await expect(client.getDevices()).to.be.rejected;
+            const before = mock.requests.length;
+            const err = await client.getDevices().then(() => null, (e) => e);
+
+            expect(err.code).to.equal('ECIRCUITOPEN');
+            expect(mock.requests.length).to.equal(before);
+            expect(states).to.include('open');
+            expect(client.breaker.openUntil).to.be.greaterThan(Date.now());
+        });
+    });
+
+    describe('normalizeUri()', () => {
+        it('converts share links and keeps URIs', () => {
+            expect(normalizeUri('https://open.spotify.com/intl-de/album/abc123?si=x')).to.equal('spotify:album:abc123');
+            expect(normalizeUri('https://open.spotify.com/embed/playlist/P1')).to.equal('spotify:playlist:P1');
+            expect(normalizeUri(' spotify:track:t1 ')).to.equal('spotify:track:t1');
+        });
+    });
+});
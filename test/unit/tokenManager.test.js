@@ -0,0 +1,31 @@
+'use strict';
+
+const { expect } = require('chai');
+const { rotatedTokenRecord, selectRefreshToken } = require('../../lib/tokenManager');
+
+// Stand-ins for adapter.encrypt/decrypt
+const encrypt = (value) => Buffer.from(value).toString('base64');
+const decrypt = (value) => Buffer.from(value, 'base64').toString('utf8');
+
+describe('rotated refresh tokens', () => {
+    it('stores the rotated token encrypted', () => {
+        const record = JSON.parse(rotatedTokenRecord('refresh-2', 'refresh-0', encrypt));
+        expect(record.token).to.equal(encrypt('refresh-2'));
+        expect(JSON.stringify(record)).not.to.include('refresh-0');
+    });
+
+    it('starts with the rotated token after a restart', () => {
+        const record = rotatedTokenRecord('refresh-2', 'refresh-0', encrypt);
+        expect(selectRefreshToken(record, 'refresh-0', decrypt)).to.equal('refresh-2');
+    });
+
+    it('ignores the rotated token after a new OAuth login (other configured token)', () => {
+        const record = rotatedTokenRecord('refresh-2', 'refresh-0', encrypt);
+        expect(selectRefreshToken(record, 'refresh-login', decrypt)).to.equal('refresh-login');
+    });
+
+    it('uses the configured token without a rotated one', () => {
+        expect(selectRefreshToken('', 'refresh-0', decrypt)).to.equal('refresh-0');
+        expect(() => selectRefreshToken('{broken', 'refresh-0', decrypt)).to.throw(SyntaxError);
+    });
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const { expect } = require('chai');
+const { sanitizeId, pickImages } = require('../../lib/utils');
+
+describe('utils', () => {
+    describe('sanitizeId()', () => {
+        it('replaces characters forbidden in object ids, whitespace and dots', () => {
+            expect(sanitizeId('Max’s iPhone')).to.equal('Max_s_iPhone');
+            expect(sanitizeId('Küche ♪')).to.equal('Küche');
+            expect(sanitizeId('Living Room 2.0')).to.equal('Living_Room_2_0');
+            expect(sanitizeId('Tom\'s "Echo" [Dot]')).to.equal('Tom_s_Echo_Dot');
+        });
+
+        it('falls back to "unknown" for empty results', () => {
+            expect(sanitizeId('')).to.equal('unknown');
+            expect(sanitizeId(' ♪♪ ')).to.equal('unknown');
+        });
+    });
+
+    describe('pickImages()', () => {
+        it('picks the largest, middle and smallest image', () => {
+            const images = [{ url: 's', width: 64 }, { url: 'l', width: 640 }, { url: 'm', width: 300 }];
+            expect(pickImages(images)).to.deep.equal({ large: 'l', medium: 'm', small: 's' });
+            expect(pickImages(undefined)).to.deep.equal({ small: '', medium: '', large: '' });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { expect } = require('chai');
+const { VolumeFader } = require('../../lib/volumeFader');
+
+/** Fader with timers that fire immediately and recorded delays and volume steps. */
+function createFader(opts = {}) {
+    const adapter = {
+        delays: [],
+        setTimeout(fn, ms) {
+            this.delays.push(ms);
+            return setTimeout(fn, 0);
+        },
+        clearTimeout(timer) {
+            clearTimeout(timer);
+        },
+    };
+    const volumes = [];
+    const fader = new VolumeFader({
+        adapter,
+        setVolume: async (v) => {
+            volumes.push(v);
+        },
+        ...opts,
+    });
+    return { fader, adapter, volumes };
+}
+
+describe('VolumeFader', () => {
+    it('ramps linearly with at most one step per minStepMs', async () => {
+        const { fader, adapter, volumes } = createFader();
+        expect(await fader.fade(0, 50, 5_000)).to.equal(true);
+        expect(volumes).to.deep.equal([10, 20, 30, 40, 50]);
+        expect(adapter.delays).to.deep.equal([1_000, 1_000, 1_000, 1_000]);
+    });
+
+    it('uses at most one step per volume percent and clamps to 0-100', async () => {
+        const { fader, volumes } = createFader();
+        await fader.fade(97, 150, 60_000);
+        expect(volumes).to.deep.equal([98, 99, 100]);
+
+        volumes.length = 0;
+        await fader.fade(30, 20, 0);
+        expect(volumes).to.deep.equal([20]);
+    });
+
+    it('stops a running fade on cancel() and when a new fade starts', async () => {
+        const { fader, volumes } = createFader();
+        const first = fader.fade(0, 100, 10_000);
+        await new Promise((resolve) => setImmediate(resolve));
+        fader.cancel();
+        expect(await first).to.equal(false);
+        expect(volumes).to.deep.equal([10]);
+
+        volumes.length = 0;
+        const second = fader.fade(0, 100, 10_000);
+        const third = fader.fade(50, 40, 0);
+        expect(await second).to.equal(false);
+        expect(await third).to.equal(true);
+        // The first step is sent right away, the rest of the second fade is dropped
+        expect(volumes).to.deep.equal([10, 40]);
+    });
+
+    it('ends the fade when a step fails', async () => {
+        let calls = 0;
+        const { fader, adapter } = createFader({
+            setVolume: async () => {
+                calls++;
+                throw new Error('Device not found');
+            },
+        });
+        await expect(fader.fade(0, 50, 5_000)).to.be.rejectedWith('Device not found');
+        expect(calls).to.equal(1);
+        expect(adapter.delays).to.deep.equal([]);
+    });
+
+    it('waits out an active rate limit before the next step', async () => {
+        const { fader, adapter, volumes } = createFader({ getRateLimitedUntil: () => Date.now() + 5_000 });
+        await fader.fade(0, 10, 0);
+        expect(volumes).to.deep.equal([10]);
+        expect(adapter.delays).to.have.length(1);
+        expect(adapter.delays[0]).to.be.closeTo(5_000, 100);
+    });
+});